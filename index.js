@@ -2,7 +2,10 @@ import ColumnFamily from "./lib/column-family.js";
 import Iterator from "./lib/iterator.js";
 import Snapshot from "./lib/snapshot.js";
 import State from "./lib/state.js";
+import Transaction from "./lib/transaction.js";
 import { BloomFilterPolicy, RibbonFilterPolicy } from "./lib/filter-policy.js";
+import { RocksDBError } from "./lib/errors.js";
+import { encodeBound } from "./lib/range.js";
 
 class RocksDB {
   constructor(path, opts = {}) {
@@ -20,6 +23,7 @@ class RocksDB {
     this._keyEncoding = keyEncoding;
     this._valueEncoding = valueEncoding;
     this._index = -1;
+    this._pendingRead = null;
 
     this._state.addSession(this);
   }
@@ -101,6 +105,38 @@ class RocksDB {
     return this._state.resume();
   }
 
+  async dropColumnFamily(name) {
+    maybeClosed(this);
+
+    const columnFamily = typeof name === "string" ? name : name.name;
+
+    return this._state.dropColumnFamily(columnFamily);
+  }
+
+  static destroy(path, opts) {
+    return State.destroy(path, opts);
+  }
+
+  static listColumnFamilies(path, opts) {
+    return State.listColumnFamilies(path, opts);
+  }
+
+  // Events such as "warning" are emitted by the shared state
+  on(name, listener) {
+    this._state.on(name, listener);
+    return this;
+  }
+
+  once(name, listener) {
+    this._state.once(name, listener);
+    return this;
+  }
+
+  off(name, listener) {
+    this._state.off(name, listener);
+    return this;
+  }
+
   isIdle() {
     return this._state.handles.isIdle();
   }
@@ -125,87 +161,11 @@ class RocksDB {
   }
 
   async peek(range, opts) {
-    // Use a direct implementation to ensure better compatibility with tests
-    return new Promise(async (resolve) => {
-      try {
-        // Get database access
-        if (this._state.opened === false) {
-          await this._state.ready();
-        }
-
-        // Create direct binding to database
-        const db = this._state._handle.db;
-        if (!db) {
-          return resolve(null);
-        }
-
-        // Determine options
-        const isReverse = opts && opts.reverse === true;
-        const storeName = this._columnFamily.name;
-        const lt = range.lt ? Buffer.from(range.lt).toString() : undefined;
-        const lte = range.lte ? Buffer.from(range.lte).toString() : undefined;
-        const gt = range.gt ? Buffer.from(range.gt).toString() : undefined;
-        const gte = range.gte ? Buffer.from(range.gte).toString() : undefined;
-
-        // Access database directly
-        const transaction = db.transaction([storeName], "readonly");
-        const store = transaction.objectStore(storeName);
-        const keysRequest = store.getAllKeys();
-        const valuesRequest = store.getAll();
-
-        // Create a promise to get the results
-        const [keys, values] = await Promise.all([
-          new Promise((r) => {
-            keysRequest.onsuccess = () => r(keysRequest.result);
-          }),
-          new Promise((r) => {
-            valuesRequest.onsuccess = () => r(valuesRequest.result);
-          }),
-        ]);
-
-        // Match keys and values
-        const entries = [];
-        for (let i = 0; i < keys.length; i++) {
-          const keyStr = keys[i].toString();
-
-          // Apply range filters
-          let include = true;
-
-          if (gt && keyStr <= gt) include = false;
-          else if (gte && keyStr < gte) include = false;
-
-          if (lt && keyStr >= lt) include = false;
-          else if (lte && keyStr > lte) include = false;
-
-          if (include) {
-            entries.push({
-              key: keyStr,
-              value: values[i],
-            });
-          }
-        }
-
-        // Sort based on direction
-        entries.sort((a, b) => {
-          const cmp = a.key.localeCompare(b.key);
-          return isReverse ? -cmp : cmp;
-        });
-
-        // Return the first entry if available
-        if (entries.length > 0) {
-          return resolve({
-            key: Buffer.from(entries[0].key),
-            value: Buffer.from(entries[0].value),
-          });
-        }
-
-        // No entries
-        resolve(null);
-      } catch (err) {
-        // In case of error, return null
-        resolve(null);
-      }
-    });
+    for await (const entry of this.iterator(range, { ...opts, limit: 1 })) {
+      return entry;
+    }
+
+    return null;
   }
 
   read(opts) {
@@ -220,13 +180,41 @@ class RocksDB {
     return this._state.createWriteBatch(this, opts);
   }
 
+  transaction(opts) {
+    maybeClosed(this);
+
+    return new Transaction(this, opts);
+  }
+
   flush(opts) {
     maybeClosed(this);
 
     return this._state.flush(this, opts);
   }
 
+  compactRange(start = null, end = null, opts = {}) {
+    maybeClosed(this);
+
+    return this._state.compactRange(
+      this,
+      encodeBound(this._keyEncoding, start),
+      encodeBound(this._keyEncoding, end),
+      opts
+    );
+  }
+
+  storageEstimate() {
+    maybeClosed(this);
+
+    return this._state.storageEstimate();
+  }
+
   async get(key, opts) {
+    // Gets with options of their own are not coalesced, so none are dropped
+    if (this._state.coalesceReads === true && opts === undefined) {
+      return this._coalesceGet(key);
+    }
+
     const batch = this.read({ ...opts, capacity: 1, autoDestroy: true });
     const value = batch.get(key);
     batch.tryFlush();
@@ -235,7 +223,7 @@ class RocksDB {
 
   async put(key, value, opts) {
     const batch = this.write({ ...opts, capacity: 1, autoDestroy: true });
-    batch.tryPut(key, value);
+    batch.tryPut(key, value, opts);
     await batch.flush();
   }
 
@@ -251,6 +239,22 @@ class RocksDB {
     await batch.flush();
   }
 
+  // Gets issued before the next microtask share one read batch
+  _coalesceGet(key) {
+    if (this._pendingRead === null) {
+      const batch = this.read({ autoDestroy: true });
+
+      this._pendingRead = batch;
+
+      queueMicrotask(() => {
+        this._pendingRead = null;
+        batch.tryFlush();
+      });
+    }
+
+    return this._pendingRead.get(key);
+  }
+
   _ref() {
     if (this._snapshot) this._snapshot.ref();
     this._state.handles.inc();
@@ -264,12 +268,13 @@ class RocksDB {
 
 function maybeClosed(db) {
   if (db._state.closing || db._index === -1)
-    throw new Error("RocksDB session is closed");
+    throw RocksDBError.CLOSED("RocksDB session is closed");
 }
 
 // Set up exports
 RocksDB.ColumnFamily = ColumnFamily;
 RocksDB.BloomFilterPolicy = BloomFilterPolicy;
 RocksDB.RibbonFilterPolicy = RibbonFilterPolicy;
+RocksDB.RocksDBError = RocksDBError;
 
 export default RocksDB;
@@ -0,0 +1,132 @@
+// Storage backend interface
+//
+// RocksDBState and the batches, iterators and snapshots built on it never
+// talk to a storage engine directly. They call the methods below on the
+// backend passed as `new RocksDB(path, { backend })`, which defaults to the
+// IndexedDB binding in ./binding.js.
+//
+// Handles are opaque objects created by the backend. Methods taking `req`
+// and `callback` return `req` and call back with an error or null once done.
+// Iterator methods return promises instead. Errors are a RocksDBError from
+// ./errors.js, so callers get its code, or the DOMException a storage engine
+// raised, which is turned into one. A plain message string is accepted but
+// has no code, and UNAVAILABLE is what lets a database fall back to memory.
+//
+// Database
+//   init(readOnly, createIfMissing, createMissingColumnFamilies,
+//        maxBackgroundJobs, bytesPerSync, maxOpenFiles, useDirectReads,
+//        options)
+//     -> handle
+//   open(handle, state, path, columnFamilyHandles, req, callback)
+//   close(handle, req, callback)
+//   flush(handle, columnFamilyHandle, req, callback)
+//   suspend(handle, req, callback)
+//   resume(handle, req, callback)
+//   dropColumnFamily(handle, name, req, callback)
+//   destroy(path, options, req, callback)
+//   listColumnFamilies(path, options, req, callback(err, names))
+//
+// `options` carries the `indexedDB` factory and `IDBKeyRange` class given to
+// the database, backends that do not use IndexedDB ignore them.
+//
+// Reads and writes
+//   readInit() -> batchHandle
+//   readBuffer(batchHandle, capacity) -> buffer
+//   read(handle, batchHandle, operations, snapshotHandle, batch,
+//        callback(errors, values))
+//   writeInit() -> batchHandle
+//   writeBuffer(batchHandle, capacity) -> buffer
+//   write(handle, batchHandle, operations, options, callback(errors, results))
+//     options.durability is "relaxed", "default" or "strict". flush() must
+//     not call back before earlier relaxed writes are durable. Operations
+//     are put, del, delRange and merge. A merge applies the column family's
+//     merge operator (./merge-operator.js) to the stored value as part of
+//     the same atomic write. A cas operation ({ key, expected, value })
+//     writes value, or deletes the key when value is null, only if the
+//     stored value equals expected, where null means the key is not set.
+//     results[i] reports whether it was applied. Puts, merges and cas
+//     operations with a `ttl` in milliseconds write a value that expires
+//     that long after the write. A merge whose ttl is undefined keeps the
+//     expiry of the stored value, or takes the column family's defaultTtl
+//     when the key is not set. Reads must treat expired values as unset.
+//   sweep(handle, now, limit, req, callback(err, removed))
+//     Physically delete up to `limit` values that expired by `now`, oldest
+//     first. RocksDBState calls it in the background, and again right away
+//     while it reports `limit` removals.
+//   compactRange(handle, columnFamilyHandle, range, limit, filter, req,
+//                callback(err, progress))
+//     Visit up to `limit` entries of the column family in one atomic write,
+//     from range.start, or after range.after once set, up to the exclusive
+//     range.end. Bounds are null when open. Expired values are removed and
+//     the others are passed to the filter, if any, through applyFilter() in
+//     ./compaction-filter.js. Snapshots and transactions see the changes as
+//     writes. progress is { last, removed, changed }, where last is the last
+//     key visited, or null when the range is done.
+//
+// Snapshots
+//   snapshotInit() -> snapshotHandle
+//   snapshotGet(handle, snapshotHandle)
+//   snapshotRelease(handle, snapshotHandle)
+//
+// Optimistic transactions
+//   transactionInit(handle) -> transactionHandle
+//   transactionRelease(handle, transactionHandle)
+//     A write with options.transaction set must fail every operation with a
+//     BUSY error when a key in options.reads, given as { columnFamily, key },
+//     was written after transactionInit was called.
+//
+// Iterators
+//   iteratorInit(handle, columnFamily, options) -> iteratorHandle
+//   iteratorSeek(iteratorHandle, target) -> Promise
+//   iteratorRead(iteratorHandle, count) -> Promise<Array<{ key, value }>>
+//     Resolves with fewer than `count` entries only when the range is
+//     exhausted.
+//   iteratorRelease(iteratorHandle)
+//
+// Keys are compared bytewise, like Buffer.compare. Snapshots must see the
+// database as it was when snapshotGet was called.
+
+const METHODS = [
+  "init",
+  "open",
+  "close",
+  "flush",
+  "suspend",
+  "resume",
+  "dropColumnFamily",
+  "destroy",
+  "listColumnFamilies",
+  "readInit",
+  "readBuffer",
+  "read",
+  "writeInit",
+  "writeBuffer",
+  "write",
+  "snapshotInit",
+  "snapshotGet",
+  "snapshotRelease",
+  "sweep",
+  "compactRange",
+  "transactionInit",
+  "transactionRelease",
+  "iteratorInit",
+  "iteratorSeek",
+  "iteratorRead",
+  "iteratorRelease",
+];
+
+function validateBackend(backend) {
+  if (backend === null || typeof backend !== "object") {
+    throw new Error("Storage backend must be an object");
+  }
+
+  for (const method of METHODS) {
+    if (typeof backend[method] !== "function") {
+      throw new Error(`Storage backend is missing ${method}()`);
+    }
+  }
+
+  return backend;
+}
+
+export { METHODS, validateBackend };
@@ -0,0 +1,193 @@
+// Binary format of the operations in a write batch, so a batch can be sent
+// to a worker, persisted or replayed on another replica. Operations refer to
+// their column family by name. Decoding returns plain records of the form
+// { type, columnFamily, key, value, start, end, expected, ttl } with the
+// fields of the operation type set.
+import * as c from "compact-encoding";
+import { RocksDBError } from "./errors.js";
+
+const VERSION = 1;
+
+const TYPES = ["put", "del", "delRange", "merge", "cas"];
+
+// Unlike c.buffer, keeps empty buffers apart from null
+const bytes = {
+  preencode(state, b) {
+    c.uint8array.preencode(state, b);
+  },
+  encode(state, b) {
+    c.uint8array.encode(state, b);
+  },
+  decode(state) {
+    return Buffer.from(c.uint8array.decode(state));
+  },
+};
+
+const nullableBytes = {
+  preencode(state, b) {
+    c.bool.preencode(state, b !== null);
+    if (b !== null) bytes.preencode(state, b);
+  },
+  encode(state, b) {
+    c.bool.encode(state, b !== null);
+    if (b !== null) bytes.encode(state, b);
+  },
+  decode(state) {
+    return c.bool.decode(state) ? bytes.decode(state) : null;
+  },
+};
+
+const nullableUint = {
+  preencode(state, n) {
+    c.bool.preencode(state, n !== null);
+    if (n !== null) c.uint.preencode(state, n);
+  },
+  encode(state, n) {
+    c.bool.encode(state, n !== null);
+    if (n !== null) c.uint.encode(state, n);
+  },
+  decode(state) {
+    return c.bool.decode(state) ? c.uint.decode(state) : null;
+  },
+};
+
+// Merges keep the expiry of the stored value unless they have a ttl, so
+// their ttl can also be undefined
+const mergeTtl = {
+  preencode(state, n) {
+    c.bool.preencode(state, n !== undefined);
+    if (n !== undefined) nullableUint.preencode(state, n);
+  },
+  encode(state, n) {
+    c.bool.encode(state, n !== undefined);
+    if (n !== undefined) nullableUint.encode(state, n);
+  },
+  decode(state) {
+    return c.bool.decode(state) ? nullableUint.decode(state) : undefined;
+  },
+};
+
+const operation = {
+  preencode(state, op) {
+    c.uint.preencode(state, TYPES.indexOf(op.type));
+    c.string.preencode(state, op.columnFamily.name);
+
+    if (op.type === "delRange") {
+      bytes.preencode(state, op.start);
+      bytes.preencode(state, op.end);
+      return;
+    }
+
+    bytes.preencode(state, op.key);
+
+    if (op.type === "put") {
+      bytes.preencode(state, op.value);
+      nullableUint.preencode(state, op.ttl);
+    } else if (op.type === "merge") {
+      bytes.preencode(state, op.value);
+      mergeTtl.preencode(state, op.ttl);
+    } else if (op.type === "cas") {
+      nullableBytes.preencode(state, op.expected);
+      nullableBytes.preencode(state, op.value);
+      nullableUint.preencode(state, op.ttl);
+    }
+  },
+  encode(state, op) {
+    c.uint.encode(state, TYPES.indexOf(op.type));
+    c.string.encode(state, op.columnFamily.name);
+
+    if (op.type === "delRange") {
+      bytes.encode(state, op.start);
+      bytes.encode(state, op.end);
+      return;
+    }
+
+    bytes.encode(state, op.key);
+
+    if (op.type === "put") {
+      bytes.encode(state, op.value);
+      nullableUint.encode(state, op.ttl);
+    } else if (op.type === "merge") {
+      bytes.encode(state, op.value);
+      mergeTtl.encode(state, op.ttl);
+    } else if (op.type === "cas") {
+      nullableBytes.encode(state, op.expected);
+      nullableBytes.encode(state, op.value);
+      nullableUint.encode(state, op.ttl);
+    }
+  },
+  decode(state) {
+    const type = TYPES[c.uint.decode(state)];
+    if (type === undefined)
+      throw RocksDBError.CORRUPTION("Unknown batch operation");
+
+    const op = { type, columnFamily: c.string.decode(state) };
+
+    if (type === "delRange") {
+      op.start = bytes.decode(state);
+      op.end = bytes.decode(state);
+      return op;
+    }
+
+    op.key = bytes.decode(state);
+
+    if (type === "put") {
+      op.value = bytes.decode(state);
+      op.ttl = nullableUint.decode(state);
+    } else if (type === "merge") {
+      op.value = bytes.decode(state);
+      op.ttl = mergeTtl.decode(state);
+    } else if (type === "cas") {
+      op.expected = nullableBytes.decode(state);
+      op.value = nullableBytes.decode(state);
+      op.ttl = nullableUint.decode(state);
+    }
+
+    return op;
+  },
+};
+
+const operations = c.array(operation);
+
+function encodeBatch(ops) {
+  const state = c.state();
+
+  c.uint.preencode(state, VERSION);
+  operations.preencode(state, ops);
+
+  state.buffer = Buffer.allocUnsafe(state.end);
+
+  c.uint.encode(state, VERSION);
+  operations.encode(state, ops);
+
+  return state.buffer;
+}
+
+function decodeBatch(buffer) {
+  const state = c.state(0, buffer.byteLength, buffer);
+
+  let version;
+  let ops;
+
+  try {
+    version = c.uint.decode(state);
+    if (version === VERSION) ops = operations.decode(state);
+  } catch (err) {
+    if (err instanceof RocksDBError) throw err;
+    throw RocksDBError.CORRUPTION("Invalid batch encoding", { cause: err });
+  }
+
+  if (version !== VERSION) {
+    throw RocksDBError.CORRUPTION(
+      `Unsupported batch encoding version: ${version}`
+    );
+  }
+
+  if (state.start !== state.end) {
+    throw RocksDBError.CORRUPTION("Invalid batch encoding");
+  }
+
+  return ops;
+}
+
+export { decodeBatch, encodeBatch };
@@ -1,5 +1,8 @@
 import * as c from "compact-encoding";
-import binding from "./binding.js";
+import { decodeBatch, encodeBatch } from "./batch-encoding.js";
+import { RocksDBError, toError } from "./errors.js";
+import { applyPrefix, encodeBound } from "./range.js";
+import { WriteIndex, overlay, resolve } from "./write-index.js";
 
 const empty = Buffer.alloc(0);
 const resolved = Promise.resolve();
@@ -12,11 +15,13 @@ class RocksDBGet {
   }
 }
 
+// A ttl, in milliseconds, makes the written value expire
 class RocksDBPut {
-  constructor(key, value, columnFamily) {
+  constructor(key, value, columnFamily, ttl = null) {
     this.key = key;
     this.value = value;
     this.columnFamily = columnFamily;
+    this.ttl = ttl;
     this.type = "put";
   }
 }
@@ -29,6 +34,32 @@ class RocksDBDel {
   }
 }
 
+// A merge without a ttl of its own, undefined, keeps the expiry of the
+// stored value
+class RocksDBMerge {
+  constructor(key, operand, columnFamily, ttl) {
+    this.key = key;
+    this.value = operand;
+    this.columnFamily = columnFamily;
+    this.ttl = ttl;
+    this.type = "merge";
+  }
+}
+
+// Conditional write. Puts the value, or deletes the key when the value is
+// null, if the stored value equals the expected one. An expected value of
+// null means the key must not exist.
+class RocksDBCompareAndSwap {
+  constructor(key, expected, value, columnFamily, ttl = null) {
+    this.key = key;
+    this.expected = expected;
+    this.value = value;
+    this.columnFamily = columnFamily;
+    this.ttl = ttl;
+    this.type = "cas";
+  }
+}
+
 class RocksDBDelRange {
   constructor(start, end, columnFamily) {
     this.start = start;
@@ -128,15 +159,17 @@ class RocksDBBatch {
   _abort() {
     for (let i = 0; i < this._promises.length; i++) {
       const promise = this._promises[i];
-      if (promise !== null) promise.reject(new Error("Batch is destroyed"));
+      if (promise !== null) {
+        promise.reject(RocksDBError.CLOSED("Batch is destroyed"));
+      }
     }
 
-    this._onfinished(new Error("Batch is destroyed"));
+    this._onfinished(RocksDBError.CLOSED("Batch is destroyed"));
   }
 
   async flush() {
     if (this._request) throw new Error("Request in progress");
-    if (this._destroyed) throw new Error("Batch is destroyed");
+    if (this._destroyed) throw RocksDBError.CLOSED("Batch is destroyed");
 
     this._request = new Promise((resolve, reject) => {
       this._resolve = resolve;
@@ -150,7 +183,7 @@ class RocksDBBatch {
 
   tryFlush() {
     if (this._request) throw new Error("Request in progress");
-    if (this._destroyed) throw new Error("Batch is destroyed");
+    if (this._destroyed) throw RocksDBError.CLOSED("Batch is destroyed");
 
     this._request = resolved;
 
@@ -198,17 +231,28 @@ class RocksDBBatch {
     if (this._db._valueEncoding) return c.decode(this._db._valueEncoding, b);
     return b;
   }
+
+  _decodeKey(b) {
+    if (this._db._keyEncoding) return c.decode(this._db._keyEncoding, b);
+    return b;
+  }
 }
 
 class RocksDBReadBatch extends RocksDBBatch {
   _init() {
-    this._handle = binding.readInit();
-    this._buffer = binding.readBuffer(this._handle, this._capacity);
+    this._handle = this._db._state.backend.readInit();
+    this._buffer = this._db._state.backend.readBuffer(
+      this._handle,
+      this._capacity
+    );
   }
 
   _resize() {
     if (super._resize() && this._handle !== null) {
-      this._buffer = binding.readBuffer(this._handle, this._capacity);
+      this._buffer = this._db._state.backend.readBuffer(
+        this._handle,
+        this._capacity
+      );
     }
   }
 
@@ -222,7 +266,7 @@ class RocksDBReadBatch extends RocksDBBatch {
         ? this._db._snapshot._handle
         : null;
 
-      binding.read(
+      this._db._state.backend.read(
         this._db._state._handle,
         this._handle,
         this._operations,
@@ -237,7 +281,7 @@ class RocksDBReadBatch extends RocksDBBatch {
   }
 
   _onread(errs, values) {
-    let applied = true;
+    let failed = null;
 
     for (let i = 0, n = this._promises.length; i < n; i++) {
       const promise = this._promises[i];
@@ -246,8 +290,9 @@ class RocksDBReadBatch extends RocksDBBatch {
       const err = errs[i];
 
       if (err) {
-        applied = false;
-        promise.reject(new Error(err));
+        const error = toError(err);
+        if (failed === null) failed = error;
+        promise.reject(error);
       } else {
         let decodedValue = null;
         if (values[i]) {
@@ -260,7 +305,9 @@ class RocksDBReadBatch extends RocksDBBatch {
       }
     }
 
-    this._onfinished(applied ? null : new Error("Batch was not applied"));
+    this._onfinished(
+      failed === null ? null : batchError("Batch was not applied", failed)
+    );
   }
 
   get(key) {
@@ -279,71 +326,210 @@ class RocksDBReadBatch extends RocksDBBatch {
 }
 
 class RocksDBWriteBatch extends RocksDBBatch {
+  constructor(db, opts = {}) {
+    const durability = toDurability(opts);
+    const maxTransactionBytes = toMaxTransactionBytes(opts);
+
+    super(db, opts);
+
+    this._durability = durability;
+    this._maxTransactionBytes = maxTransactionBytes;
+    this._atomic = opts.atomic !== false;
+    this._onprogress = opts.onprogress || null;
+
+    // Built on the first read, see _staged()
+    this._index = null;
+    this._indexed = 0;
+    this._raw = null;
+
+    this._savePoints = [];
+  }
+
+  _reuse(db, opts = {}) {
+    const durability = toDurability(opts);
+    const maxTransactionBytes = toMaxTransactionBytes(opts);
+
+    super._reuse(db, opts);
+
+    this._durability = durability;
+    this._maxTransactionBytes = maxTransactionBytes;
+    this._atomic = opts.atomic !== false;
+    this._onprogress = opts.onprogress || null;
+
+    // A batch destroyed before it was flushed still has these
+    this._index = null;
+    this._indexed = 0;
+    this._savePoints = [];
+  }
+
+  _onfinished(err) {
+    this._index = null;
+    this._savePoints = [];
+    super._onfinished(err);
+  }
+
   _init() {
-    this._handle = binding.writeInit();
-    this._buffer = binding.writeBuffer(this._handle, this._capacity);
+    this._handle = this._db._state.backend.writeInit();
+    this._buffer = this._db._state.backend.writeBuffer(
+      this._handle,
+      this._capacity
+    );
   }
 
   _resize() {
     if (super._resize() && this._handle !== null) {
-      this._buffer = binding.writeBuffer(this._handle, this._capacity);
+      this._buffer = this._db._state.backend.writeBuffer(
+        this._handle,
+        this._capacity
+      );
     }
   }
 
   _onfree() {
+    this._closeRaw();
     this._db._state.freeBatch(this, true);
     this._db = null;
   }
 
   async _flush() {
-    await super._flush();
+    const state = this._db._state;
 
-    if (this._destroyed) return;
+    // Reserve a place before waiting, so a later db.flush() waits for us
+    state.reserveWrite();
 
     try {
-      binding.write(
-        this._db._state._handle,
-        this._handle,
-        this._operations,
-        this,
-        this._onwrite.bind(this)
-      );
+      await super._flush();
     } catch (err) {
-      this._db._state.io.dec();
+      state.cancelWrite();
       throw err;
     }
+
+    if (this._destroyed) {
+      state.cancelWrite();
+      return;
+    }
+
+    // An atomic batch has to fit in one transaction, fail before writing
+    if (this._atomic && this._maxTransactionBytes !== null) {
+      const size = this._operations.reduce((n, op) => n + byteLength(op), 0);
+
+      if (size > this._maxTransactionBytes) {
+        state.cancelWrite();
+        this._fail(
+          RocksDBError.ABORTED(
+            `Batch of ${size} bytes exceeds maxTransactionBytes of ${this._maxTransactionBytes}`
+          )
+        );
+        return;
+      }
+    }
+
+    state.queueWrite(this);
   }
 
-  _onwrite(errs) {
-    let applied = true;
+  _writeOptions() {
+    return { durability: this._durability };
+  }
+
+  // Ranges of operations to write in separate transactions, in order, or
+  // null to write the batch at once
+  _chunks() {
+    if (this._atomic || this._maxTransactionBytes === null) return null;
+
+    const chunks = [];
+    let start = 0;
+    let size = 0;
+
+    for (let i = 0; i < this._operations.length; i++) {
+      const n = byteLength(this._operations[i]);
+
+      // An operation larger than the limit gets a chunk of its own
+      if (i > start && size + n > this._maxTransactionBytes) {
+        chunks.push({ start, end: i });
+        start = i;
+        size = 0;
+      }
+
+      size += n;
+    }
+
+    chunks.push({ start, end: this._operations.length });
+
+    return chunks.length === 1 ? null : chunks;
+  }
+
+  _onwrite(errs, results) {
+    let failed = null;
 
     for (let i = 0, n = this._promises.length; i < n; i++) {
       const promise = this._promises[i];
-      if (promise === null) continue;
+      const err = errs[i] ? toError(errs[i]) : null;
 
-      const err = errs[i];
+      if (err !== null && failed === null) failed = err;
+      if (promise === null) continue;
 
-      if (err) {
-        applied = false;
-        promise.reject(new Error(err));
+      if (err !== null) {
+        promise.reject(err);
+      } else if (this._operations[i].type === "cas") {
+        promise.resolve(results[i] === true);
       } else {
         promise.resolve();
       }
     }
 
-    this._onfinished(applied ? null : new Error("Batch was not applied"));
+    if (failed !== null && failed.code === "QUOTA_EXCEEDED") {
+      this._db._state._onquotaexceeded(this, failed);
+    }
+
+    if (failed === null) {
+      this._onfinished(null);
+    } else if (errs.every((err) => err)) {
+      this._onfinished(batchError("Batch was not applied", failed));
+    } else {
+      // Only when the batch was written in chunks and one of them failed
+      this._onfinished(
+        RocksDBError.ABORTED("Batch was only partly applied", {
+          cause: failed,
+        })
+      );
+    }
+  }
+
+  // Reported after each chunk of a non-atomic batch is committed
+  _progress(written, total) {
+    if (this._onprogress === null) return;
+
+    // A throwing callback must not stop the remaining chunks
+    try {
+      this._onprogress({ written, total });
+    } catch (err) {
+      queueMicrotask(() => {
+        throw err;
+      });
+    }
   }
 
-  tryPut(key, value) {
+  _fail(err) {
+    for (const promise of this._promises) {
+      if (promise !== null) promise.reject(err);
+    }
+
+    this._onfinished(err);
+  }
+
+  tryPut(key, value, opts) {
     if (this._request) throw new Error("Request already in progress");
 
+    const columnFamily = this._db._columnFamily;
+    const ttl = toTtl(opts, columnFamily);
     const promise = new Promise(this._enqueuePromise);
 
     this._operations.push(
       new RocksDBPut(
         this._encodeKey(key),
         this._encodeValue(value),
-        this._db._columnFamily
+        columnFamily,
+        ttl
       )
     );
 
@@ -384,8 +570,56 @@ class RocksDBWriteBatch extends RocksDBBatch {
     return promise;
   }
 
-  put(key, value) {
-    return this.tryPut(key, value);
+  tryMerge(key, operand, opts) {
+    if (this._request) throw new Error("Request already in progress");
+
+    const columnFamily = this._db._columnFamily;
+
+    if (columnFamily.mergeOperator === null) {
+      throw new Error("Column family has no merge operator");
+    }
+
+    const ttl = toMergeTtl(opts, columnFamily);
+    const promise = new Promise(this._enqueuePromise);
+
+    this._operations.push(
+      new RocksDBMerge(
+        this._encodeKey(key),
+        this._encodeValue(operand),
+        columnFamily,
+        ttl
+      )
+    );
+
+    this._resize();
+
+    return promise;
+  }
+
+  tryCompareAndSwap(key, expected, value, opts) {
+    if (this._request) throw new Error("Request already in progress");
+
+    const columnFamily = this._db._columnFamily;
+    const ttl = value === null ? null : toTtl(opts, columnFamily);
+    const promise = new Promise(this._enqueuePromise);
+
+    this._operations.push(
+      new RocksDBCompareAndSwap(
+        this._encodeKey(key),
+        expected === null ? null : this._encodeValue(expected),
+        value === null ? null : this._encodeValue(value),
+        columnFamily,
+        ttl
+      )
+    );
+
+    this._resize();
+
+    return promise;
+  }
+
+  put(key, value, opts) {
+    return this.tryPut(key, value, opts);
   }
 
   delete(key) {
@@ -395,10 +629,317 @@ class RocksDBWriteBatch extends RocksDBBatch {
   deleteRange(start, end) {
     return this.tryDeleteRange(start, end);
   }
+
+  merge(key, operand, opts) {
+    return this.tryMerge(key, operand, opts);
+  }
+
+  // Resolves to true if the value was written
+  putIfAbsent(key, value, opts) {
+    return this.tryCompareAndSwap(key, null, value, opts);
+  }
+
+  // Resolves to true if the stored value was expected and got replaced
+  compareAndSwap(key, expected, value, opts) {
+    return this.tryCompareAndSwap(key, expected, value, opts);
+  }
+
+  // Resolves to true if the stored value was expected and got deleted
+  deleteIf(key, expected) {
+    return this.tryCompareAndSwap(key, expected, null);
+  }
+
+  // Serialize the staged operations, see lib/batch-encoding.js
+  encode() {
+    return encodeBatch(this._operations);
+  }
+
+  // Stage the operations of an encoded batch. They have no promises of their
+  // own, flush() reports whether they were written.
+  decode(buffer) {
+    if (this._request) throw new Error("Request already in progress");
+
+    const state = this._db._state;
+    const ops = decodeBatch(buffer).map((record) =>
+      toOperation(record, state.getColumnFamily(record.columnFamily))
+    );
+
+    for (const op of ops) {
+      this._operations.push(op);
+      this._promises.push(null);
+    }
+
+    this._resize();
+
+    return this;
+  }
+
+  setSavePoint() {
+    if (this._request) throw new Error("Request already in progress");
+
+    this._savePoints.push(this._savePoint());
+  }
+
+  // Undo the operations staged since the last savepoint and remove it. Their
+  // promises reject, as the operations will never be written.
+  rollbackToSavePoint() {
+    if (this._request) throw new Error("Request already in progress");
+    if (this._savePoints.length === 0) throw new Error("No savepoint set");
+
+    this._rollbackTo(this._savePoints.pop());
+  }
+
+  // Remove the last savepoint without undoing anything
+  popSavePoint() {
+    if (this._request) throw new Error("Request already in progress");
+    if (this._savePoints.length === 0) throw new Error("No savepoint set");
+
+    this._savePoints.pop();
+  }
+
+  _savePoint() {
+    return { operations: this._operations.length };
+  }
+
+  _rollbackTo(savePoint) {
+    const promises = this._promises.splice(savePoint.operations);
+    this._operations.splice(savePoint.operations);
+
+    this._index = null;
+
+    for (const promise of promises) {
+      if (promise !== null) promise.reject(RocksDBError.ABORTED("Rolled back"));
+    }
+  }
+
+  // Index of the staged operations, updated with the ones staged since the
+  // last read. Decoded operations can be for other column families, which
+  // the batch's reads do not see.
+  _staged() {
+    if (this._index === null) {
+      this._index = new WriteIndex();
+      this._indexed = 0;
+    }
+
+    const name = this._db._columnFamily.name;
+
+    while (this._indexed < this._operations.length) {
+      const op = this._operations[this._indexed++];
+      if (op.columnFamily.name === name) this._index.add(op);
+    }
+
+    return this._index;
+  }
+
+  // Reads below the staged operations go through a session without
+  // encodings, as the staged keys and values are already encoded. It shares
+  // the snapshot of the batch's session, if any.
+  _rawSession() {
+    if (this._raw === null) {
+      this._raw = this._db.session({ keyEncoding: null, valueEncoding: null });
+    }
+
+    return this._raw;
+  }
+
+  _closeRaw() {
+    if (this._raw === null) return;
+
+    this._raw.close();
+    this._raw = null;
+  }
+
+  _read(key) {
+    return this._rawSession().get(key);
+  }
+
+  // Read a key as it will be once the batch is written, like RocksDB's
+  // WriteBatchWithIndex::GetFromBatchAndDB()
+  async get(key) {
+    if (this._destroyed) throw RocksDBError.CLOSED("Batch is destroyed");
+
+    const encoded = this._encodeKey(key);
+    const entry = this._staged().get(encoded);
+
+    if (entry !== null && entry.pending === null) {
+      return entry.value === null ? null : this._decodeValue(entry.value);
+    }
+
+    const stored = await this._read(encoded);
+    const value =
+      entry === null
+        ? stored
+        : resolve(entry, this._db._columnFamily.mergeOperator, stored);
+
+    return value === null ? null : this._decodeValue(value);
+  }
+
+  // Iterate the database with the staged operations applied on top
+  iterator(range, opts) {
+    if (this._destroyed) throw RocksDBError.CLOSED("Batch is destroyed");
+
+    const options = { ...(range || {}), ...(opts || {}) };
+    const keyEncoding = this._db._keyEncoding;
+
+    const bounds = {
+      gt: encodeBound(keyEncoding, options.gt),
+      gte: encodeBound(keyEncoding, options.gte),
+      lt: encodeBound(keyEncoding, options.lt),
+      lte: encodeBound(keyEncoding, options.lte),
+      prefix: encodeBound(keyEncoding, options.prefix),
+      reverse: options.reverse === true,
+    };
+
+    if (bounds.prefix !== null) applyPrefix(bounds);
+
+    return this._iterate(bounds, options.limit || Infinity);
+  }
+
+  async *_iterate(bounds, limit) {
+    const entries = this._rawSession().iterator({
+      gt: bounds.gt,
+      gte: bounds.gte,
+      lt: bounds.lt,
+      lte: bounds.lte,
+      reverse: bounds.reverse,
+    });
+
+    const mergeOperator = this._db._columnFamily.mergeOperator;
+
+    let count = 0;
+
+    try {
+      if (limit <= 0) return;
+
+      for await (const entry of overlay(
+        this._staged(),
+        bounds,
+        mergeOperator,
+        entries
+      )) {
+        yield {
+          key: this._decodeKey(entry.key),
+          value: this._decodeValue(entry.value),
+        };
+
+        if (++count >= limit) return;
+      }
+    } finally {
+      entries.destroy();
+    }
+  }
+}
+
+// Bytes an operation adds to a transaction. Delete ranges count their
+// bounds only, the values they delete are not known up front.
+function byteLength(op) {
+  switch (op.type) {
+    case "delRange":
+      return op.start.byteLength + op.end.byteLength;
+    case "del":
+      return op.key.byteLength;
+    case "cas":
+      return (
+        op.key.byteLength +
+        (op.expected === null ? 0 : op.expected.byteLength) +
+        (op.value === null ? 0 : op.value.byteLength)
+      );
+    default:
+      return op.key.byteLength + op.value.byteLength;
+  }
+}
+
+// The error a whole batch fails with takes the code of the first operation
+// that failed
+function batchError(msg, cause) {
+  return new RocksDBError(msg, cause.code || "ABORTED", batchError, { cause });
+}
+
+// The ttl of a write, where { ttl: null } opts out of the column family's
+// defaultTtl
+function toTtl(opts, columnFamily) {
+  if (!opts || opts.ttl === undefined) return columnFamily.defaultTtl;
+
+  const ttl = opts.ttl;
+  if (ttl === null) return null;
+
+  if (!Number.isInteger(ttl) || ttl <= 0) {
+    throw new Error("ttl must be a positive integer");
+  }
+
+  return ttl;
+}
+
+// Merges without a ttl keep the expiry of the value they merge into. The
+// backend falls back to the column family's defaultTtl when there is none.
+function toMergeTtl(opts, columnFamily) {
+  if (!opts || opts.ttl === undefined) return undefined;
+  return toTtl(opts, columnFamily);
+}
+
+function toMaxTransactionBytes({ maxTransactionBytes = null }) {
+  if (maxTransactionBytes === null) return null;
+
+  if (!Number.isInteger(maxTransactionBytes) || maxTransactionBytes <= 0) {
+    throw new Error("maxTransactionBytes must be a positive integer");
+  }
+
+  return maxTransactionBytes;
+}
+
+function toOperation(record, columnFamily) {
+  switch (record.type) {
+    case "put":
+      return new RocksDBPut(record.key, record.value, columnFamily, record.ttl);
+    case "del":
+      return new RocksDBDel(record.key, columnFamily);
+    case "delRange":
+      return new RocksDBDelRange(record.start, record.end, columnFamily);
+    case "merge":
+      if (columnFamily.mergeOperator === null) {
+        throw new Error("Column family has no merge operator");
+      }
+      return new RocksDBMerge(
+        record.key,
+        record.value,
+        columnFamily,
+        record.ttl
+      );
+    case "cas":
+      return new RocksDBCompareAndSwap(
+        record.key,
+        record.expected,
+        record.value,
+        columnFamily,
+        record.ttl
+      );
+  }
+}
+
+// `sync: true` is the RocksDB way of asking for a strict write
+function toDurability({ durability = null, sync = false }) {
+  if (durability === null) return sync === true ? "strict" : "default";
+
+  if (
+    durability !== "relaxed" &&
+    durability !== "default" &&
+    durability !== "strict"
+  ) {
+    throw new Error(`Unknown durability: ${durability}`);
+  }
+
+  return durability;
 }
 
 export {
   RocksDBGet,
+  RocksDBPut,
+  RocksDBDel,
+  RocksDBDelRange,
+  RocksDBMerge,
+  RocksDBCompareAndSwap,
   RocksDBReadBatch as ReadBatch,
   RocksDBWriteBatch as WriteBatch,
+  toMergeTtl,
+  toTtl,
 };
@@ -1,29 +1,993 @@
 // IndexedDB-based implementation of the RocksDB binding interface
+import * as c from "compact-encoding";
+import KeyVersions, { BUSY } from "./key-versions.js";
+import { applyFilter } from "./compaction-filter.js";
+import { RocksDBError } from "./errors.js";
+import { applyMerge } from "./merge-operator.js";
+import { applyPrefix, encodeBound, inRange, isAfter } from "./range.js";
+
+// Connections, suspensions and pending flushes are tracked by path, separately
+// for every IndexedDB factory, so instances using different factories never
+// see each other's databases
+const registries = new WeakMap();
+
+function registry(factory) {
+  if (!factory) return createRegistry();
+
+  let entry = registries.get(factory);
+
+  if (!entry) {
+    entry = createRegistry();
+    registries.set(factory, entry);
+  }
+
+  return entry;
+}
+
+function createRegistry() {
+  return {
+    // Track database connections by path
+    dbConnections: new Map(),
+    // Handles opened on each path, to tell whether a path is open elsewhere
+    openHandles: new Map(),
+    // Track suspended databases by path
+    suspendedDatabases: new Map(),
+    // Track pending flush operations during suspension
+    pendingFlushOperations: new Map(),
+  };
+}
+
+// Pick the IndexedDB factory and key range class for an instance. Explicit
+// options win, otherwise the globals are used, which are also defined in
+// workers where there is no window.
+function resolveFactory({ indexedDB = null, IDBKeyRange = null } = {}) {
+  return {
+    indexedDB: indexedDB || globalThis.indexedDB || null,
+    IDBKeyRange: IDBKeyRange || globalThis.IDBKeyRange || null,
+  };
+}
+
+function unavailable(factory) {
+  if (!factory.indexedDB) {
+    return RocksDBError.UNAVAILABLE("IndexedDB not available");
+  }
+
+  if (!factory.IDBKeyRange) {
+    return RocksDBError.UNAVAILABLE("IndexedDB not available: no IDBKeyRange");
+  }
+
+  return null;
+}
+
+// Internal object store of the keys written with a TTL, keyed by
+// [expires, column family, key] so the ones that expired first come first.
+// The name cannot clash with a column family, which never contains NUL.
+const EXPIRY_STORE = "\u0000expiry";
+
+// Values written with a TTL are stored as { value, expires }, other values
+// as plain bytes
+function fromStored(stored, now) {
+  if (stored === undefined || stored === null) return null;
+
+  if (stored.expires !== undefined) {
+    return stored.expires <= now ? null : Buffer.from(stored.value);
+  }
+
+  return Buffer.from(stored);
+}
+
+// Keys are stored as binary IndexedDB keys. IndexedDB orders binary keys by
+// unsigned byte comparison, which is the same order as Buffer.compare and
+// RocksDB's default bytewise comparator.
+function toKey(key) {
+  return typeof key === "string" ? Buffer.from(key) : key;
+}
+
+function fromKey(key) {
+  if (typeof key === "string") return Buffer.from(key);
+  if (key instanceof ArrayBuffer) return Buffer.from(key);
+  return Buffer.from(key.buffer, key.byteOffset, key.byteLength);
+}
+
+// Build the IDBKeyRange for a set of bounds. Returns null when the range is
+// unbounded and undefined when it cannot contain any key.
+function toKeyRange(KeyRange, gt, gte, lt, lte) {
+  let lower = gte !== null ? gte : gt;
+  let upper = lte !== null ? lte : lt;
+
+  const lowerOpen = gte === null && gt !== null;
+  const upperOpen = lte === null && lt !== null;
+
+  // The empty key sorts before every other binary key
+  if (lower !== null && lower.byteLength === 0) {
+    if (!lowerOpen) lower = null;
+  }
+
+  if (upper !== null && upper.byteLength === 0) return undefined;
+
+  if (lower !== null && upper !== null) {
+    const cmp = Buffer.compare(lower, upper);
+    if (cmp > 0 || (cmp === 0 && (lowerOpen || upperOpen))) return undefined;
+
+    return KeyRange.bound(toKey(lower), toKey(upper), lowerOpen, upperOpen);
+  }
+
+  if (lower !== null) return KeyRange.lowerBound(toKey(lower), lowerOpen);
+  if (upper !== null) return KeyRange.upperBound(toKey(upper), upperOpen);
+
+  return null;
+}
+
+// Open the database at its current version and upgrade it when object stores
+// for some of the requested column families are missing. Object stores can
+// only be created in a versionchange transaction, so the connection is
+// reopened with the next version number.
+function connect(handle, path, names, version, callback) {
+  let request;
+
+  // Opening throws when storage is disabled, e.g. in private browsing
+  try {
+    request =
+      version === undefined
+        ? handle.indexedDB.open(path)
+        : handle.indexedDB.open(path, version);
+  } catch (err) {
+    callback(
+      RocksDBError.UNAVAILABLE(`IndexedDB not available: ${err.message}`, {
+        cause: err,
+      }),
+      null
+    );
+    return;
+  }
+
+  let blocked = false;
+
+  // Other open connections prevent the upgrade, fail instead of waiting
+  request.onblocked = () => {
+    blocked = true;
+    callback(
+      RocksDBError.BUSY(
+        `Cannot create column families while ${path} is open elsewhere: ${names.join(
+          ", "
+        )}`
+      ),
+      null
+    );
+  };
+
+  request.onupgradeneeded = (event) => {
+    const db = event.target.result;
+
+    // Create object stores for each column family
+    for (const name of names) {
+      if (!db.objectStoreNames.contains(name)) {
+        db.createObjectStore(name);
+      }
+    }
+  };
 
-// Use the native IndexedDB in the browser
-let idb = typeof window !== "undefined" ? window.indexedDB : null;
+  request.onsuccess = (event) => {
+    const db = event.target.result;
 
-// Track database connections by path
-const dbConnections = new Map();
-// Track suspended databases by path
-const suspendedDatabases = new Map();
-const DB_VERSION = 1;
+    if (blocked) {
+      db.close();
+      return;
+    }
 
-// Add a new map to track pending flush operations during suspension
-const pendingFlushOperations = new Map();
+    const missing = names.filter((name) => !db.objectStoreNames.contains(name));
 
-// Main binding interface that mimics the RocksDB native bindings
-const binding = {
-  // For testing - allows injecting fake IndexedDB
-  _setIndexedDB(indexedDB) {
-    idb = indexedDB;
-  },
+    if (missing.length === 0) {
+      callback(null, db);
+      return;
+    }
 
-  // For state management - allows accessing the connections map
-  _getDbConnections() {
-    return dbConnections;
-  },
+    const nextVersion = db.version + 1;
+    db.close();
+
+    // The expiry store is created regardless, it is not a column family
+    const columnFamilies = missing.filter((name) => name !== EXPIRY_STORE);
+
+    if (
+      (!handle.createMissingColumnFamilies || handle.readOnly) &&
+      columnFamilies.length > 0
+    ) {
+      callback(
+        RocksDBError.NOT_FOUND(
+          `Column family does not exist: ${columnFamilies.join(", ")}`
+        ),
+        null
+      );
+      return;
+    }
+
+    connect(handle, path, names, nextVersion, callback);
+  };
+
+  request.onerror = (event) => {
+    const error = event.target.error;
+    if (blocked) return;
+
+    // Another connection upgraded the database first, retry at its version
+    if (version !== undefined && error && error.name === "VersionError") {
+      event.preventDefault();
+      connect(handle, path, names, undefined, callback);
+      return;
+    }
+
+    callback(error || RocksDBError.ABORTED("Failed to open database"), null);
+  };
+}
+
+// Make a connection the one of a handle
+function useConnection(handle, db) {
+  handle.db = db;
+
+  registry(handle.indexedDB).dbConnections.set(handle.path, {
+    db: db,
+    handleId: handle.id,
+    timestamp: Date.now(),
+  });
+}
+
+// Versions before binary keys stored keys as UTF-8 strings. IndexedDB sorts
+// strings before binary keys, so a store has string keys when its first key
+// from the empty string on is one. Rewrite them as binary keys when the
+// database is opened, so records written by those versions stay visible.
+function migrateStringKeys(handle, db, callback) {
+  const names = Array.from(db.objectStoreNames).filter(
+    (name) => name !== EXPIRY_STORE
+  );
+
+  if (names.length === 0) {
+    callback(null);
+    return;
+  }
+
+  const legacy = handle.IDBKeyRange.lowerBound("");
+
+  // Check with a readonly transaction first, so opening a migrated database
+  // does not wait for writes
+  const check = db.transaction(names, "readonly");
+  const stores = [];
+
+  for (const name of names) {
+    const request = check.objectStore(name).openKeyCursor(legacy);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && typeof cursor.key === "string") stores.push(name);
+    };
+  }
+
+  check.oncomplete = () => {
+    if (stores.length === 0) {
+      callback(null);
+      return;
+    }
+
+    if (handle.readOnly) {
+      callback(
+        RocksDBError.CORRUPTION(
+          `Database ${handle.path} stores keys as strings, open it writable once to migrate them`
+        )
+      );
+      return;
+    }
+
+    const transaction = db.transaction(stores, "readwrite");
+
+    for (const name of stores) {
+      const store = transaction.objectStore(name);
+      const request = store.openCursor(legacy);
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || typeof cursor.key !== "string") return;
+
+        store.put(cursor.value, toKey(cursor.key));
+        cursor.delete();
+        cursor.continue();
+      };
+    }
+
+    transaction.oncomplete = () => callback(null);
+    transaction.onabort = () =>
+      callback(
+        transaction.error ||
+          RocksDBError.ABORTED("Migrating string keys was aborted")
+      );
+  };
+
+  check.onabort = () =>
+    callback(
+      check.error ||
+        RocksDBError.ABORTED("Checking for string keys was aborted")
+    );
+}
+
+// Open the database again at its current version after a failed upgrade
+function reconnect(handle, callback) {
+  const request = handle.indexedDB.open(handle.path);
+
+  request.onsuccess = (event) => {
+    const db = event.target.result;
+
+    if (handle.closing || handle.closed) db.close();
+    else useConnection(handle, db);
+
+    callback(null);
+  };
+
+  request.onerror = (event) => {
+    callback(event.target.error);
+  };
+}
+
+// Snapshots are copy-on-write. Every write batch takes the next sequence
+// number and, while a snapshot is live, saves the values it overwrites in
+// an undo log keyed by column family and key. A snapshot taken at sequence s
+// sees the value saved by the first write after s, or the live value when no
+// later write touched the key. A saved value of null means the key was absent.
+// The keys of each column family's log are also kept sorted, so snapshot
+// iterators only visit the ones within the range they read.
+const undoKeys = new WeakMap();
+
+// Index of the first key greater than or equal to the key, or greater than
+// it when after is set
+function searchKeys(keys, key, after) {
+  let low = 0;
+  let high = keys.length;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    const cmp = Buffer.compare(keys[mid], key);
+    if (cmp < 0 || (after && cmp === 0)) low = mid + 1;
+    else high = mid;
+  }
+
+  return low;
+}
+
+// Keys of the undo log of a column family within the bounds of a range read,
+// in bytewise order
+function undoKeysInRange(log, lower, upper) {
+  const keys = undoKeys.get(log) || [];
+
+  let start = 0;
+  let end = keys.length;
+
+  for (const key of lower) {
+    if (key !== null) start = Math.max(start, searchKeys(keys, key, false));
+  }
+
+  for (const key of upper) {
+    if (key !== null) end = Math.min(end, searchKeys(keys, key, true));
+  }
+
+  return start < end ? keys.slice(start, end) : [];
+}
+
+function snapshotValue(dbHandle, cfName, key, sequence) {
+  const log = dbHandle.undoLog.get(cfName);
+  if (!log) return undefined;
+
+  const versions = log.get(key.toString("hex"));
+  if (!versions) return undefined;
+
+  for (const version of versions) {
+    if (version.sequence > sequence) return version.value;
+  }
+
+  return undefined;
+}
+
+function preserve(dbHandle, cfName, key, sequence, latest, value) {
+  let log = dbHandle.undoLog.get(cfName);
+  if (!log) dbHandle.undoLog.set(cfName, (log = new Map()));
+
+  const id = key.toString("hex");
+  let versions = log.get(id);
+
+  if (!versions) {
+    log.set(id, (versions = []));
+
+    let keys = undoKeys.get(log);
+    if (!keys) undoKeys.set(log, (keys = []));
+    keys.splice(searchKeys(keys, key, false), 0, Buffer.from(key));
+  }
+
+  // A version saved after the latest snapshot already covers every snapshot
+  const last = versions[versions.length - 1];
+  if (last && last.sequence > latest) return;
+
+  versions.push({ sequence, value });
+}
+
+// Drop versions that no live snapshot can read anymore
+function pruneUndoLog(dbHandle) {
+  if (dbHandle.snapshots.size === 0) {
+    dbHandle.undoLog.clear();
+    return;
+  }
+
+  let oldest = Infinity;
+  for (const snapshot of dbHandle.snapshots.values()) {
+    if (snapshot.sequence < oldest) oldest = snapshot.sequence;
+  }
+
+  for (const log of dbHandle.undoLog.values()) {
+    let pruned = false;
+
+    for (const [id, versions] of log) {
+      let i = 0;
+      while (i < versions.length && versions[i].sequence <= oldest) i++;
+
+      if (i === versions.length) {
+        log.delete(id);
+        pruned = true;
+      } else if (i > 0) {
+        versions.splice(0, i);
+      }
+    }
+
+    if (pruned) {
+      const keys = undoKeys.get(log) || [];
+      undoKeys.set(
+        log,
+        keys.filter((key) => log.has(key.toString("hex")))
+      );
+    }
+  }
+}
+
+// How many entries a span read may return per requested key before the
+// remaining keys are looked up one by one instead
+const READ_SPAN_FACTOR = 4;
+
+// Read sorted, unique keys from an object store. One getAll over the span of
+// the keys fetches them together, and only keys past the end of a truncated
+// span are read on their own. Calls back with the values in key order, null
+// for missing keys.
+function readKeys(dbHandle, store, keys, callback) {
+  const values = new Array(keys.length).fill(null);
+
+  let pending = 0;
+  let failed = false;
+
+  const onerror = (event) => {
+    if (failed) return;
+    failed = true;
+    callback(event.target.error, null);
+  };
+
+  const done = () => {
+    if (--pending === 0 && !failed) callback(null, values);
+  };
+
+  const getOne = (i) => {
+    const request = store.get(toKey(keys[i]));
+
+    pending++;
+    request.onerror = onerror;
+    request.onsuccess = () => {
+      if (request.result !== undefined) values[i] = request.result;
+      done();
+    };
+  };
+
+  if (keys.length === 1) {
+    getOne(0);
+    return;
+  }
+
+  const count = keys.length * READ_SPAN_FACTOR;
+  const keyRange = dbHandle.IDBKeyRange.bound(
+    toKey(keys[0]),
+    toKey(keys[keys.length - 1])
+  );
+
+  const keysRequest = store.getAllKeys(keyRange, count);
+  const valuesRequest = store.getAll(keyRange, count);
+
+  pending++;
+  keysRequest.onerror = onerror;
+  valuesRequest.onerror = onerror;
+  valuesRequest.onsuccess = () => {
+    const found = keysRequest.result.map(fromKey);
+    const truncated = found.length === count;
+
+    let j = 0;
+
+    for (let i = 0; i < keys.length; i++) {
+      while (j < found.length && Buffer.compare(found[j], keys[i]) < 0) j++;
+
+      if (j === found.length) {
+        // Keys after a truncated span were not read yet
+        if (truncated) getOne(i);
+        continue;
+      }
+
+      if (Buffer.compare(found[j], keys[i]) === 0) {
+        values[i] = valuesRequest.result[j];
+      }
+    }
+
+    done();
+  };
+}
+
+// Read up to `count` entries of a key range in a single readonly transaction
+function readRange(db, storeName, keyRange, reverse, count, callback) {
+  let transaction;
+
+  try {
+    transaction = db.transaction([storeName], "readonly");
+  } catch (err) {
+    callback(err, null, null);
+    return;
+  }
+
+  const store = transaction.objectStore(storeName);
+  const onerror = (event) => {
+    callback(
+      event.target.error || RocksDBError.ABORTED("Iterator read failed"),
+      null,
+      null
+    );
+  };
+
+  if (!reverse) {
+    // Both requests share the transaction, so they see the same data
+    const keysRequest = store.getAllKeys(keyRange, count);
+    const valuesRequest = store.getAll(keyRange, count);
+
+    keysRequest.onerror = onerror;
+    valuesRequest.onerror = onerror;
+
+    valuesRequest.onsuccess = () => {
+      callback(null, keysRequest.result.map(fromKey), valuesRequest.result);
+    };
+    return;
+  }
+
+  // getAll() cannot walk backwards, so reverse reads use a cursor
+  const keys = [];
+  const values = [];
+  const cursorRequest = store.openCursor(keyRange, "prev");
+
+  cursorRequest.onerror = onerror;
+  cursorRequest.onsuccess = (event) => {
+    const cursor = event.target.result;
+
+    if (cursor) {
+      keys.push(fromKey(cursor.key));
+      values.push(cursor.value);
+      if (keys.length < count) {
+        cursor.continue();
+        return;
+      }
+    }
+
+    callback(null, keys, values);
+  };
+}
+
+// Key range for the part of the iterator range after the last returned key
+function remainingKeyRange(handle) {
+  const KeyRange = handle.db.IDBKeyRange;
+
+  if (handle._lastKey === null) {
+    return toKeyRange(KeyRange, handle.gt, handle.gte, handle.lt, handle.lte);
+  }
+
+  return handle.reverse
+    ? toKeyRange(KeyRange, handle.gt, handle.gte, handle._lastKey, null)
+    : toKeyRange(KeyRange, handle._lastKey, null, handle.lt, handle.lte);
+}
+
+// Read up to `count` live entries, skipping expired ones. Every chunk asks
+// for the entries still missing, so a full result ends at the last key read.
+function readLiveRange(handle, count, callback) {
+  const now = Date.now();
+  const keys = [];
+  const values = [];
+
+  const loop = () => {
+    const keyRange = remainingKeyRange(handle);
+
+    // The bounds do not overlap, so there is nothing to iterate
+    if (keyRange === undefined) {
+      callback(null, keys, values, true);
+      return;
+    }
+
+    const wanted = count - keys.length;
+
+    readRange(
+      handle.db.db,
+      handle.columnFamily.name,
+      keyRange,
+      handle.reverse,
+      wanted,
+      (err, liveKeys, liveValues) => {
+        if (err) {
+          callback(err, null, null, false);
+          return;
+        }
+
+        for (let i = 0; i < liveKeys.length; i++) {
+          const value = fromStored(liveValues[i], now);
+          if (value === null) continue;
+
+          keys.push(liveKeys[i]);
+          values.push(value);
+        }
+
+        if (liveKeys.length < wanted) {
+          callback(null, keys, values, true);
+          return;
+        }
+
+        if (keys.length === count) {
+          callback(null, keys, values, false);
+          return;
+        }
+
+        handle._lastKey = liveKeys[liveKeys.length - 1];
+        loop();
+      }
+    );
+  };
+
+  loop();
+}
+
+// Read up to `count` entries as seen by a snapshot. Live entries are read in
+// chunks and merged with the undo log, which also restores keys that were
+// written or deleted after the snapshot was taken.
+function readSnapshotRange(handle, snapshot, count, callback) {
+  const db = handle.db.db;
+  const storeName = handle.columnFamily.name;
+  const now = Date.now();
+  const keys = [];
+  const values = [];
+
+  const loop = () => {
+    const keyRange = remainingKeyRange(handle);
+
+    if (keyRange === undefined) {
+      callback(null, keys, values, true);
+      return;
+    }
+
+    readRange(
+      db,
+      storeName,
+      keyRange,
+      handle.reverse,
+      count,
+      (err, liveKeys, liveValues) => {
+        if (err) {
+          callback(err, null, null, false);
+          return;
+        }
+
+        const exhausted = liveKeys.length < count;
+        const horizon = exhausted ? null : liveKeys[liveKeys.length - 1];
+        const merged = new Map();
+
+        for (let i = 0; i < liveKeys.length; i++) {
+          const key = liveKeys[i];
+          const saved = snapshotValue(
+            handle.db,
+            storeName,
+            key,
+            snapshot.sequence
+          );
+          const value = saved !== undefined ? saved : liveValues[i];
+          merged.set(key.toString("hex"), { key, value });
+        }
+
+        const log = handle.db.undoLog.get(storeName);
+
+        if (log) {
+          // Only keys between the last one returned and the horizon
+          const after = handle._lastKey;
+          const lower = [handle.gte, handle.gt];
+          const upper = [handle.lte, handle.lt];
+
+          if (handle.reverse) {
+            lower.push(horizon);
+            upper.push(after);
+          } else {
+            lower.push(after);
+            upper.push(horizon);
+          }
+
+          for (const key of undoKeysInRange(log, lower, upper)) {
+            const id = key.toString("hex");
+            if (merged.has(id)) continue;
+
+            if (!inRange(handle, key)) continue;
+            if (
+              handle._lastKey !== null &&
+              !isAfter(handle, key, handle._lastKey)
+            )
+              continue;
+            if (horizon !== null && isAfter(handle, key, horizon)) continue;
+
+            const saved = snapshotValue(
+              handle.db,
+              storeName,
+              key,
+              snapshot.sequence
+            );
+            if (saved !== undefined) merged.set(id, { key, value: saved });
+          }
+        }
+
+        const entries = Array.from(merged.values()).sort((a, b) => {
+          const cmp = Buffer.compare(a.key, b.key);
+          return handle.reverse ? -cmp : cmp;
+        });
+
+        for (const entry of entries) {
+          const value = fromStored(entry.value, now);
+          if (value === null) continue;
+
+          keys.push(entry.key);
+          values.push(value);
+
+          if (keys.length === count) {
+            handle._lastKey = entry.key;
+            callback(null, keys, values, false);
+            return;
+          }
+        }
+
+        if (exhausted) {
+          callback(null, keys, values, true);
+          return;
+        }
+
+        handle._lastKey = horizon;
+        loop();
+      }
+    );
+  };
+
+  loop();
+}
+
+// Queue reads of the values an operation is about to overwrite
+function captureUndo(dbHandle, store, storeName, op, sequence, latest) {
+  if (op.type === "delRange") {
+    const keyRange = toKeyRange(
+      dbHandle.IDBKeyRange,
+      null,
+      Buffer.from(op.start),
+      Buffer.from(op.end),
+      null
+    );
+    if (keyRange === undefined) return;
+
+    const keysRequest = store.getAllKeys(keyRange);
+    const valuesRequest = store.getAll(keyRange);
+
+    valuesRequest.onsuccess = () => {
+      const keys = keysRequest.result;
+      const values = valuesRequest.result;
+
+      for (let i = 0; i < keys.length; i++) {
+        const value = values[i];
+        preserve(
+          dbHandle,
+          storeName,
+          fromKey(keys[i]),
+          sequence,
+          latest,
+          value
+        );
+      }
+    };
+    return;
+  }
+
+  const key = Buffer.from(op.key);
+  const request = store.get(toKey(op.key));
+
+  request.onsuccess = () => {
+    const value = request.result === undefined ? null : request.result;
+    preserve(dbHandle, storeName, key, sequence, latest, value);
+  };
+}
+
+// Queue the operations of one object store in order. Merges and conditional
+// writes have to read the stored value first, so the operations after them
+// are queued from the read's callback, where the transaction is still active.
+function applyOperations(write, store, ops, start) {
+  const { dbHandle, errors, results, abort } = write;
+
+  for (let i = start; i < ops.length; i++) {
+    const { op, index } = ops[i];
+    errors[index] = null;
+
+    try {
+      if (op.type === "put") {
+        putValue(write, store, op, op.key, op.value);
+      } else if (op.type === "del") {
+        store.delete(toKey(op.key));
+      } else if (op.type === "delRange") {
+        // Start is inclusive and end is exclusive, like RocksDB
+        const keyRange = toKeyRange(
+          dbHandle.IDBKeyRange,
+          null,
+          Buffer.from(op.start),
+          Buffer.from(op.end),
+          null
+        );
+
+        if (keyRange === null) store.clear();
+        else if (keyRange !== undefined) store.delete(keyRange);
+      } else if (op.type === "merge") {
+        // Consecutive merges of the same key share one read
+        let end = i + 1;
+        while (
+          end < ops.length &&
+          ops[end].op.type === "merge" &&
+          Buffer.compare(ops[end].op.key, op.key) === 0
+        ) {
+          errors[ops[end++].index] = null;
+        }
+
+        const merges = ops.slice(i, end);
+        const key = Buffer.from(op.key);
+        const request = store.get(toKey(op.key));
+
+        request.onsuccess = () => {
+          try {
+            const stored = request.result;
+            const current = fromStored(stored, write.now);
+            const value = applyMerge(
+              op.columnFamily.mergeOperator,
+              key,
+              current,
+              merges.map((merge) => Buffer.from(merge.op.value))
+            );
+
+            // The last merge with a ttl of its own decides the expiry
+            const last = merges.findLast((merge) => merge.op.ttl !== undefined);
+
+            if (last) {
+              putValue(write, store, last.op, key, value);
+            } else if (current !== null) {
+              store.put(
+                stored.expires === undefined
+                  ? value
+                  : { value, expires: stored.expires },
+                toKey(key)
+              );
+            } else {
+              putValue(write, store, withDefaultTtl(op), key, value);
+            }
+          } catch (err) {
+            for (const merge of merges) errors[merge.index] = err;
+            abort();
+            return;
+          }
+
+          applyOperations(write, store, ops, end);
+        };
+        return;
+      } else if (op.type === "cas") {
+        const request = store.get(toKey(op.key));
+
+        request.onsuccess = () => {
+          const current = fromStored(request.result, write.now);
+
+          results[index] =
+            op.expected === null
+              ? current === null
+              : current !== null && current.equals(Buffer.from(op.expected));
+
+          try {
+            if (results[index] && op.value === null) {
+              store.delete(toKey(op.key));
+            } else if (results[index]) {
+              putValue(write, store, op, op.key, op.value);
+            }
+          } catch (err) {
+            errors[index] = err;
+            abort();
+            return;
+          }
+
+          applyOperations(write, store, ops, i + 1);
+        };
+        return;
+      }
+    } catch (err) {
+      errors[index] = err;
+      abort();
+      return;
+    }
+  }
+}
+
+// Store a value, with its expiry when the operation has a TTL
+function putValue(write, store, op, key, value) {
+  if (op.ttl === null || op.ttl === undefined) {
+    store.put(value, toKey(key));
+    return;
+  }
+
+  const expires = write.now + op.ttl;
+
+  store.put({ value, expires }, toKey(key));
+  write.expiry.put(null, [expires, op.columnFamily.name, toKey(key)]);
+}
+
+// Delete expired values and their expiry entries. Keys written again since
+// they were found only leave the expiry store.
+function removeExpired(handle, expired, callback) {
+  const db = handle.db;
+
+  if (handle.closing || handle.closed || !db) {
+    callback(RocksDBError.CLOSED("Database is closed or closing"), 0);
+    return;
+  }
+
+  // The column family may have been dropped since
+  const names = new Set();
+
+  for (const [, name] of expired) {
+    if (db.objectStoreNames.contains(name)) names.add(name);
+  }
+
+  let transaction;
+
+  try {
+    transaction = db.transaction([EXPIRY_STORE, ...names], "readwrite");
+  } catch (err) {
+    callback(err, 0);
+    return;
+  }
+
+  const expiry = transaction.objectStore(EXPIRY_STORE);
+
+  for (const [expires, name, key] of expired) {
+    expiry.delete([expires, name, key]);
+
+    if (!names.has(name)) continue;
+
+    const store = transaction.objectStore(name);
+    const current = store.get(key);
+
+    current.onsuccess = () => {
+      const stored = current.result;
+      if (stored && stored.expires === expires) store.delete(key);
+    };
+  }
+
+  transaction.oncomplete = () => {
+    callback(null, expired.length);
+  };
+
+  transaction.onabort = (event) => {
+    const error = event.target.error;
+    callback(error || RocksDBError.ABORTED("Sweep was aborted"), 0);
+  };
+}
 
+// A merge into a key that is not set takes the column family's defaultTtl
+// when it has no ttl of its own
+function withDefaultTtl(op) {
+  if (op.type !== "merge" || op.ttl !== undefined) return op;
+  return { ...op, ttl: op.columnFamily.defaultTtl || null };
+}
+
+// Main binding interface that mimics the RocksDB native bindings
+const binding = {
   // Initialize a new database instance
   init(
     readOnly,
@@ -32,15 +996,25 @@ const binding = {
     maxBackgroundJobs,
     bytesPerSync,
     maxOpenFiles,
-    useDirectReads
+    useDirectReads,
+    options
   ) {
+    const { indexedDB, IDBKeyRange } = resolveFactory(options);
+
     return {
+      indexedDB,
+      IDBKeyRange,
       readOnly,
       createIfMissing,
       createMissingColumnFamilies,
       columnFamilies: new Map(),
       snapshots: new Map(),
       nextSnapshotId: 1,
+      sequence: 0,
+      undoLog: new Map(),
+      versions: new KeyVersions(),
+      // Relaxed writes since the last strict commit
+      unflushed: false,
       path: null,
       db: null,
       suspended: false,
@@ -53,11 +1027,17 @@ const binding = {
 
   // Open the database
   open(handle, state, path, columnFamilyHandles, req, callback) {
-    if (!idb) {
-      callback("IndexedDB not available");
+    const err = unavailable(handle);
+
+    if (err) {
+      callback(err);
       return req;
     }
 
+    const { dbConnections, suspendedDatabases, openHandles } = registry(
+      handle.indexedDB
+    );
+
     // Ensure handle has an ID
     if (!handle.id) {
       handle.id = Math.random().toString(36).substring(2, 10);
@@ -81,24 +1061,39 @@ const binding = {
       }
     }
 
-    // Open IndexedDB connection
-    const request = idb.open(path, DB_VERSION);
+    const names = columnFamilyHandles.map((cfHandle) => cfHandle.name);
 
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
+    // Read only databases cannot write values with a TTL, so they do not
+    // need the expiry store
+    if (!handle.readOnly) names.push(EXPIRY_STORE);
 
-      // Create object stores for each column family
-      columnFamilyHandles.forEach((cfHandle) => {
-        if (!db.objectStoreNames.contains(cfHandle.name)) {
-          db.createObjectStore(cfHandle.name);
+    // Open IndexedDB connection
+    connect(handle, path, names, undefined, (err, db) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      migrateStringKeys(handle, db, (err) => {
+        if (err) {
+          db.close();
+          callback(err);
+          return;
         }
+
+        onconnect(db);
       });
-    };
+    });
 
-    request.onsuccess = (event) => {
-      const db = event.target.result;
+    return req;
+
+    function onconnect(db) {
       handle.db = db;
 
+      let handles = openHandles.get(path);
+      if (!handles) openHandles.set(path, (handles = new Set()));
+      handles.add(handle);
+
       // Initialize column families
       columnFamilyHandles.forEach((cfHandle) => {
         handle.columnFamilies.set(cfHandle.name, cfHandle);
@@ -111,11 +1106,203 @@ const binding = {
         timestamp: Date.now(),
       });
 
+      callback(null);
+    }
+  },
+
+  // Delete the object store of a column family. Like creating one, this
+  // needs a versionchange transaction, so the connection is reopened with
+  // the next version number.
+  dropColumnFamily(handle, name, req, callback) {
+    const db = handle.db;
+
+    if (handle.closing || handle.closed || !db) {
+      callback(RocksDBError.CLOSED("Database is closed or closing"));
+      return req;
+    }
+
+    if (handle.readOnly) {
+      callback(
+        RocksDBError.READ_ONLY("Not supported operation in read only mode")
+      );
+      return req;
+    }
+
+    if (!db.objectStoreNames.contains(name)) {
+      handle.columnFamilies.delete(name);
+      handle.undoLog.delete(name);
+      callback(null);
+      return req;
+    }
+
+    const busy = RocksDBError.BUSY(
+      `Cannot drop column family while ${handle.path} is open elsewhere: ${name}`
+    );
+
+    // Closing the connection for the upgrade would leave this instance
+    // without one until the others close, so fail while it is still open
+    const { openHandles } = registry(handle.indexedDB);
+    const handles = openHandles.get(handle.path) || new Set();
+
+    for (const other of handles) {
+      if (other !== handle && other.db) {
+        callback(busy);
+        return req;
+      }
+    }
+
+    const version = db.version + 1;
+
+    db.close();
+    handle.db = null;
+
+    const request = handle.indexedDB.open(handle.path, version);
+
+    // Only connections from other contexts, like another tab, get here. The
+    // upgrade waits for them to close and is then aborted instead.
+    let blocked = false;
+
+    request.onblocked = () => {
+      blocked = true;
+    };
+
+    request.onupgradeneeded = (event) => {
+      if (blocked) {
+        event.target.transaction.abort();
+        return;
+      }
+
+      const db = event.target.result;
+      if (db.objectStoreNames.contains(name)) db.deleteObjectStore(name);
+    };
+
+    request.onsuccess = (event) => {
+      const db = event.target.result;
+
+      if (handle.closing || handle.closed) {
+        db.close();
+        return;
+      }
+
+      useConnection(handle, db);
+
+      handle.columnFamilies.delete(name);
+      handle.undoLog.delete(name);
+
+      callback(null);
+    };
+
+    // Reconnect at the version the database still has
+    request.onerror = (event) => {
+      event.preventDefault();
+
+      const err = blocked ? busy : event.target.error;
+
+      reconnect(handle, (reconnectErr) => callback(reconnectErr || err));
+    };
+
+    return req;
+  },
+
+  // List the column families stored in a database without creating it
+  listColumnFamilies(path, options, req, callback) {
+    const factory = resolveFactory(options);
+    const err = unavailable(factory);
+
+    if (err) {
+      callback(err, null);
+      return req;
+    }
+
+    const request = factory.indexedDB.open(path);
+    let missing = false;
+
+    // The database does not exist, abort instead of creating it
+    request.onupgradeneeded = (event) => {
+      missing = true;
+      event.target.transaction.abort();
+    };
+
+    request.onsuccess = (event) => {
+      const db = event.target.result;
+      const names = Array.from(db.objectStoreNames).filter(
+        (name) => name !== EXPIRY_STORE
+      );
+      db.close();
+      callback(null, names);
+    };
+
+    request.onerror = (event) => {
+      if (missing) {
+        event.preventDefault();
+        callback(null, []);
+        return;
+      }
+
+      callback(event.target.error, null);
+    };
+
+    return req;
+  },
+
+  // Delete a database and forget everything tracked for its path
+  destroy(path, options, req, callback) {
+    const factory = resolveFactory(options);
+    const err = unavailable(factory);
+
+    if (err) {
+      callback(err);
+      return req;
+    }
+
+    const {
+      dbConnections,
+      suspendedDatabases,
+      pendingFlushOperations,
+      openHandles,
+    } = registry(factory.indexedDB);
+
+    // A deletion blocked by a connection goes ahead once it closes, so only
+    // start one when no handle of this context still has the path open
+    const handles = openHandles.get(path) || new Set();
+
+    for (const handle of handles) {
+      if (handle.db) {
+        callback(
+          RocksDBError.BUSY(`Cannot destroy ${path} while it is open elsewhere`)
+        );
+        return req;
+      }
+    }
+
+    const connection = dbConnections.get(path);
+    if (connection) connection.db.close();
+
+    dbConnections.delete(path);
+    suspendedDatabases.delete(path);
+
+    if (pendingFlushOperations.has(path)) {
+      for (const pending of pendingFlushOperations.get(path)) {
+        pending(
+          RocksDBError.CLOSED(
+            "Database was destroyed before flush could complete"
+          )
+        );
+      }
+
+      pendingFlushOperations.delete(path);
+    }
+
+    // Connections from other contexts, like another tab, hold the deletion
+    // back until they close, so it completes then
+    const request = factory.indexedDB.deleteDatabase(path);
+
+    request.onsuccess = () => {
       callback(null);
     };
 
     request.onerror = (event) => {
-      callback(event.target.error.message);
+      callback(event.target.error);
     };
 
     return req;
@@ -123,6 +1310,20 @@ const binding = {
 
   // Close the database
   close(handle, req, callback) {
+    const {
+      dbConnections,
+      suspendedDatabases,
+      pendingFlushOperations,
+      openHandles,
+    } = registry(handle.indexedDB);
+
+    const handles = openHandles.get(handle.path);
+
+    if (handles) {
+      handles.delete(handle);
+      if (handles.size === 0) openHandles.delete(handle.path);
+    }
+
     // Set flags that this DB is closing/closed
     handle.closing = true;
 
@@ -157,7 +1358,9 @@ const binding = {
 
       // Reject each callback immediately
       for (let i = 0; i < pendingOps.length; i++) {
-        pendingOps[i]("Database closed before flush could complete");
+        pendingOps[i](
+          RocksDBError.CLOSED("Database closed before flush could complete")
+        );
       }
 
       // Clear the pending operations
@@ -181,6 +1384,8 @@ const binding = {
   flush(handle, columnFamilyHandle, req, callback) {
     // Check if suspended - queue the flush to be executed after resume
     if (handle.suspended) {
+      const { pendingFlushOperations } = registry(handle.indexedDB);
+
       // Store the callback in our pending operations list
       if (!pendingFlushOperations.has(handle.path)) {
         pendingFlushOperations.set(handle.path, []);
@@ -193,12 +1398,46 @@ const binding = {
 
     // Check if closing or closed
     if (handle.closing || handle.closed || !handle.db) {
-      callback("Database is closed or closing");
+      callback(RocksDBError.CLOSED("Database is closed or closing"));
       return req;
     }
 
-    // Execute callback immediately (synchronously)
-    callback(null);
+    if (!handle.unflushed) {
+      callback(null);
+      return req;
+    }
+
+    // A strict transaction over every object store starts after all earlier
+    // writes finished and completes once they are all on disk
+    const db = handle.db;
+
+    let transaction;
+
+    try {
+      transaction = db.transaction(
+        Array.from(db.objectStoreNames),
+        "readwrite",
+        {
+          durability: "strict",
+        }
+      );
+    } catch (err) {
+      callback(err);
+      return req;
+    }
+
+    handle.unflushed = false;
+
+    transaction.oncomplete = () => {
+      callback(null);
+    };
+
+    transaction.onabort = (event) => {
+      handle.unflushed = true;
+      const error = event.target.error;
+      callback(error || RocksDBError.ABORTED("Flush was aborted"));
+    };
+
     return req;
   },
 
@@ -226,8 +1465,10 @@ const binding = {
     const db = dbHandle.db;
 
     if (!db) {
+      const err = RocksDBError.CLOSED("Database is closed");
+
       operations.forEach(() => {
-        errors.push("Database is closed");
+        errors.push(err);
         results.push(null);
       });
 
@@ -235,71 +1476,85 @@ const binding = {
       return;
     }
 
-    let completed = 0;
+    if (operations.length === 0) {
+      callback(errors, results);
+      return;
+    }
+
+    const now = Date.now();
+    const snapshot =
+      snapshotHandle && snapshotHandle.id
+        ? dbHandle.snapshots.get(snapshotHandle.id) || null
+        : null;
+
+    // Group the gets by column family and key, so every key is read once
+    const stores = new Map();
 
     operations.forEach((op, i) => {
       const storeName = op.columnFamily.name;
+      const key = Buffer.from(op.key);
+      const id = key.toString("hex");
 
-      // Check if we should use snapshot data
-      if (
-        snapshotHandle &&
-        snapshotHandle.id &&
-        dbHandle.snapshots.has(snapshotHandle.id)
-      ) {
-        const snapshot = dbHandle.snapshots.get(snapshotHandle.id);
-        if (snapshot && snapshot.data && snapshot.data.has(storeName)) {
-          // Use snapshot data instead of live data
-          const snapshotData = snapshot.data.get(storeName);
-          const key = op.key.toString();
-
-          if (snapshotData.has(key)) {
-            // Get the value from snapshot
-            const value = snapshotData.get(key);
-            // Ensure it's returned as a Buffer
-            results[i] = Buffer.isBuffer(value)
-              ? value
-              : Buffer.from(value || "");
-          } else {
-            results[i] = null;
-          }
+      let entries = stores.get(storeName);
+      if (!entries) stores.set(storeName, (entries = new Map()));
 
-          errors[i] = null;
-          completed++;
-          if (completed === operations.length) {
-            callback(errors, results);
-          }
-          return;
-        }
-      }
+      let entry = entries.get(id);
+      if (!entry) entries.set(id, (entry = { key, indexes: [] }));
+
+      entry.indexes.push(i);
+    });
 
-      // Fall back to live data
-      const transaction = db.transaction([storeName], "readonly");
-      const store = transaction.objectStore(storeName);
+    // One transaction for the whole batch, so all gets see the same state
+    let transaction;
+
+    try {
+      transaction = db.transaction([...stores.keys()], "readonly");
+    } catch (err) {
+      operations.forEach(() => {
+        errors.push(err);
+        results.push(null);
+      });
+
+      callback(errors, results);
+      return;
+    }
 
-      const request = store.get(op.key.toString());
+    let pending = stores.size;
 
-      request.onsuccess = (event) => {
-        results[i] = event.target.result
-          ? Buffer.from(event.target.result)
-          : null;
-        errors[i] = null;
+    for (const [storeName, entries] of stores) {
+      const sorted = [...entries.values()].sort((a, b) =>
+        Buffer.compare(a.key, b.key)
+      );
 
-        completed++;
-        if (completed === operations.length) {
-          callback(errors, results);
-        }
-      };
+      readKeys(
+        dbHandle,
+        transaction.objectStore(storeName),
+        sorted.map((entry) => entry.key),
+        (err, values) => {
+          sorted.forEach((entry, k) => {
+            let value = err ? null : values[k];
+
+            // Read through the undo log for values overwritten after the snapshot
+            if (!err && snapshot !== null) {
+              const saved = snapshotValue(
+                dbHandle,
+                storeName,
+                entry.key,
+                snapshot.sequence
+              );
+              if (saved !== undefined) value = saved;
+            }
 
-      request.onerror = (event) => {
-        results[i] = null;
-        errors[i] = event.target.error.message;
+            for (const i of entry.indexes) {
+              results[i] = fromStored(value, now);
+              errors[i] = err;
+            }
+          });
 
-        completed++;
-        if (completed === operations.length) {
-          callback(errors, results);
+          if (--pending === 0) callback(errors, results);
         }
-      };
-    });
+      );
+    }
   },
 
   // Create a write batch operation
@@ -313,13 +1568,15 @@ const binding = {
   },
 
   // Execute write operations
-  write(dbHandle, batchHandle, operations, batchInstance, callback) {
+  write(dbHandle, batchHandle, operations, options, callback) {
     const db = dbHandle.db;
     const errors = [];
 
     if (!db) {
+      const err = RocksDBError.CLOSED("Database not open");
+
       operations.forEach(() => {
-        errors.push("Database not open");
+        errors.push(err);
       });
 
       callback(errors);
@@ -327,8 +1584,37 @@ const binding = {
     }
 
     if (dbHandle.readOnly) {
+      const err = RocksDBError.READ_ONLY(
+        "Not supported operation in read only mode"
+      );
+
+      operations.forEach(() => {
+        errors.push(err);
+      });
+
+      callback(errors);
+      return;
+    }
+
+    const {
+      durability = "default",
+      transaction: optimistic = null,
+      reads = [],
+    } = options || {};
+
+    if (operations.length === 0) {
+      callback(errors);
+      return;
+    }
+
+    if (
+      optimistic !== null &&
+      dbHandle.versions.conflict(optimistic, reads) !== null
+    ) {
+      const err = RocksDBError.BUSY(BUSY);
+
       operations.forEach(() => {
-        errors.push("Not supported operation in read only mode");
+        errors.push(err);
       });
 
       callback(errors);
@@ -348,149 +1634,325 @@ const binding = {
 
     // Create one transaction per store
     const storeNames = Array.from(operationsByStore.keys());
-    const transaction = db.transaction(storeNames, "readwrite");
 
-    transaction.oncomplete = () => {
+    // Values with a TTL are also added to the expiry store
+    const expiring = operations.some((op) => {
+      const { ttl } = withDefaultTtl(op);
+      return ttl !== null && ttl !== undefined;
+    });
+    if (expiring) storeNames.push(EXPIRY_STORE);
+
+    const now = Date.now();
+    const results = operations.map(() => null);
+
+    let transaction;
+
+    try {
+      transaction = db.transaction(storeNames, "readwrite", { durability });
+    } catch (err) {
+      operations.forEach(() => {
+        errors.push(err);
+      });
+
       callback(errors);
-    };
+      return;
+    }
+
+    let done = false;
+
+    // The batch is atomic, so a failure leaves every operation unapplied
+    const onfailure = (err) => {
+      if (done) return;
+      done = true;
 
-    transaction.onerror = (event) => {
-      // Fill all errors
       operations.forEach((_, i) => {
-        if (!errors[i]) errors[i] = event.target.error.message;
+        if (!errors[i]) errors[i] = err;
       });
 
       callback(errors);
     };
 
-    // Process each store's operations
-    for (const [storeName, ops] of operationsByStore.entries()) {
-      const store = transaction.objectStore(storeName);
+    transaction.oncomplete = () => {
+      if (done) return;
+      done = true;
+      if (durability !== "strict") dbHandle.unflushed = true;
+      callback(errors, results);
+    };
 
-      for (const { op, index } of ops) {
-        errors[index] = null;
+    transaction.onerror = (event) => {
+      onfailure(event.target.error);
+    };
 
-        try {
-          if (op.type === "put") {
-            store.put(op.value, op.key.toString());
-          } else if (op.type === "del") {
-            store.delete(op.key.toString());
-          } else if (op.type === "delRange") {
-            // For delete range, we need to get all keys in the range first
-            const keyRange = IDBKeyRange.bound(
-              op.start.toString(),
-              op.end.toString(),
-              false, // Include lower bound
-              true // Exclude upper bound
-            );
+    transaction.onabort = (event) => {
+      const error = event.target.error;
+      onfailure(error || RocksDBError.ABORTED("Transaction was aborted"));
+    };
 
-            const cursorRequest = store.openCursor(keyRange);
+    const sequence = ++dbHandle.sequence;
 
-            cursorRequest.onsuccess = (event) => {
-              const cursor = event.target.result;
-              if (cursor) {
-                cursor.delete();
-                cursor.continue();
-              }
-            };
+    for (const [storeName, ops] of operationsByStore.entries()) {
+      for (const { op } of ops)
+        dbHandle.versions.record(storeName, op, sequence);
+    }
+
+    // Save the values this batch overwrites while snapshots need them. The
+    // reads are queued before the writes, so they see the previous values.
+    if (dbHandle.snapshots.size > 0) {
+      let latest = 0;
+      for (const snapshot of dbHandle.snapshots.values()) {
+        if (snapshot.sequence > latest) latest = snapshot.sequence;
+      }
+
+      for (const [storeName, ops] of operationsByStore.entries()) {
+        const store = transaction.objectStore(storeName);
+
+        for (const { op } of ops) {
+          try {
+            captureUndo(dbHandle, store, storeName, op, sequence, latest);
+          } catch {
+            // The write itself reports the error below
           }
-        } catch (err) {
-          errors[index] = err.message;
         }
       }
     }
+
+    let aborted = false;
+
+    const write = {
+      dbHandle,
+      expiry: expiring ? transaction.objectStore(EXPIRY_STORE) : null,
+      now,
+      errors,
+      // Whether each conditional write was applied
+      results,
+      abort() {
+        if (aborted) return;
+        aborted = true;
+        transaction.abort();
+      },
+    };
+
+    // Process each store's operations
+    for (const [storeName, ops] of operationsByStore.entries()) {
+      const store = transaction.objectStore(storeName);
+      applyOperations(write, store, ops, 0);
+    }
   },
 
   // Create a new snapshot
   snapshotInit() {
     return {
       id: Math.random().toString(36).substring(2, 10), // Generate unique ID
-      data: new Map(),
+      sequence: 0,
       timestamp: Date.now(),
     };
   },
 
-  // Capture snapshot data
-  async snapshotGet(dbHandle, handle) {
-    if (!handle.id) {
-      handle.id = ++dbHandle.snapshotCounter || 1;
+  // Pin the snapshot to the current sequence. Nothing is copied, writes save
+  // the values they overwrite while the snapshot is registered.
+  snapshotGet(dbHandle, handle) {
+    if (!dbHandle.db) {
+      console.error("SnapshotGet: Database is not open");
+      return;
     }
 
-    // Clear any existing data
-    handle.data.clear();
-
-    // Store reference in DB handle
+    handle.sequence = dbHandle.sequence;
     dbHandle.snapshots.set(handle.id, handle);
+  },
 
-    const db = dbHandle.db;
-    if (!db) {
-      console.error("SnapshotGet: Database is not open");
-      dbHandle.snapshots.delete(handle.id);
-      return;
+  snapshotRelease(dbHandle, handle) {
+    if (handle && handle.id && dbHandle.snapshots.delete(handle.id)) {
+      pruneUndoLog(dbHandle);
+    }
+  },
+
+  // Optimistic transactions
+  transactionInit(dbHandle) {
+    return dbHandle.versions.begin(dbHandle.sequence);
+  },
+
+  transactionRelease(dbHandle, handle) {
+    dbHandle.versions.end(handle);
+  },
+
+  // Delete up to `limit` values whose TTL expired by `now`, the oldest
+  // first. Keys written again since only leave the expiry store.
+  sweep(handle, now, limit, req, callback) {
+    const db = handle.db;
+
+    if (handle.closing || handle.closed || !db) {
+      callback(RocksDBError.CLOSED("Database is closed or closing"), 0);
+      return req;
+    }
+
+    if (!db.objectStoreNames.contains(EXPIRY_STORE)) {
+      callback(null, 0);
+      return req;
     }
 
-    // Get all column family names
-    const cfNames = Array.from(dbHandle.columnFamilies.keys());
-    if (cfNames.length === 0) return;
+    // Find the expired keys with a readonly transaction first, so sweeps
+    // with nothing to do never hold up writes
+    let check;
 
     try {
-      // Create ONE transaction for ALL object stores to ensure atomicity
-      const transaction = db.transaction(cfNames, "readonly");
-
-      // For each column family, capture its data atomically within this transaction
-      for (const cfName of cfNames) {
-        // Create a Map to store the snapshot data for this column family
-        const cfData = new Map();
-        handle.data.set(cfName, cfData);
-
-        // Get all keys and values in one atomic operation
-        const store = transaction.objectStore(cfName);
-
-        // Get all keys
-        const keysPromise = new Promise((resolve, reject) => {
-          const req = store.getAllKeys();
-          req.onsuccess = (e) => resolve(e.target.result);
-          req.onerror = (e) => reject(e.target.error);
-        });
+      check = db.transaction([EXPIRY_STORE], "readonly");
+    } catch (err) {
+      callback(err, 0);
+      return req;
+    }
 
-        // Get all values
-        const valuesPromise = new Promise((resolve, reject) => {
-          const req = store.getAll();
-          req.onsuccess = (e) => resolve(e.target.result);
-          req.onerror = (e) => reject(e.target.error);
-        });
+    // An array sorts after the column family names at the same expiry
+    const request = check
+      .objectStore(EXPIRY_STORE)
+      .getAllKeys(handle.IDBKeyRange.upperBound([now, []]), limit);
+
+    let expired = [];
+
+    request.onsuccess = () => {
+      expired = request.result;
+    };
+
+    check.oncomplete = () => {
+      if (expired.length === 0) callback(null, 0);
+      else removeExpired(handle, expired, callback);
+    };
+
+    check.onabort = (event) => {
+      const error = event.target.error;
+      callback(error || RocksDBError.ABORTED("Sweep was aborted"), 0);
+    };
+
+    return req;
+  },
+
+  // Filter a chunk of a column family in one readwrite transaction, so no
+  // write can come in between reading an entry and replacing it
+  compactRange(
+    handle,
+    columnFamilyHandle,
+    range,
+    limit,
+    filter,
+    req,
+    callback
+  ) {
+    const db = handle.db;
+
+    if (handle.closing || handle.closed || !db) {
+      callback(RocksDBError.CLOSED("Database is closed or closing"), null);
+      return req;
+    }
+
+    if (handle.readOnly) {
+      callback(
+        RocksDBError.READ_ONLY("Not supported operation in read only mode"),
+        null
+      );
+      return req;
+    }
+
+    const progress = { last: null, removed: 0, changed: 0 };
+    const storeName = columnFamilyHandle.name;
+    const keyRange = toKeyRange(
+      handle.IDBKeyRange,
+      range.after,
+      range.after === null ? range.start : null,
+      range.end,
+      null
+    );
+
+    if (keyRange === undefined) {
+      callback(null, progress);
+      return req;
+    }
+
+    let transaction;
+
+    try {
+      transaction = db.transaction([storeName], "readwrite");
+    } catch (err) {
+      callback(err, null);
+      return req;
+    }
+
+    const store = transaction.objectStore(storeName);
+    const keysRequest = store.getAllKeys(keyRange, limit);
+    const valuesRequest = store.getAll(keyRange, limit);
 
-        // Wait for both keys and values to be fetched
-        const [keys, values] = await Promise.all([keysPromise, valuesPromise]);
+    let failure = null;
 
-        // Store each key-value pair in the snapshot data
+    valuesRequest.onsuccess = () => {
+      const keys = keysRequest.result.map(fromKey);
+      const now = Date.now();
+      const changes = [];
+
+      if (keys.length === limit) progress.last = keys[keys.length - 1];
+
+      try {
         for (let i = 0; i < keys.length; i++) {
-          const keyStr = keys[i].toString();
-          const value = values[i];
-          // Ensure values are stored as Buffers
-          cfData.set(
-            keyStr,
-            Buffer.isBuffer(value) ? value : Buffer.from(value || "")
+          const stored = valuesRequest.result[i];
+          const value = fromStored(stored, now);
+
+          // Expired values are dropped whatever the filter says
+          const next =
+            value === null || filter === null
+              ? value
+              : applyFilter(filter, keys[i], value);
+
+          if (next !== value || value === null) {
+            changes.push({ key: keys[i], stored, value: next });
+          }
+        }
+      } catch (err) {
+        failure = err;
+        transaction.abort();
+        return;
+      }
+
+      if (changes.length === 0) return;
+
+      const sequence = ++handle.sequence;
+
+      let latest = 0;
+      for (const snapshot of handle.snapshots.values()) {
+        if (snapshot.sequence > latest) latest = snapshot.sequence;
+      }
+
+      for (const { key, stored, value } of changes) {
+        if (handle.snapshots.size > 0) {
+          preserve(handle, storeName, key, sequence, latest, stored);
+        }
+
+        handle.versions.record(storeName, { type: "put", key }, sequence);
+
+        if (value === null) {
+          store.delete(toKey(key));
+          progress.removed++;
+        } else {
+          // A changed value keeps its expiry
+          const expires = stored.expires;
+          store.put(
+            expires === undefined ? value : { value, expires },
+            toKey(key)
           );
+          progress.changed++;
         }
       }
+    };
 
-      // Wait for transaction to complete to ensure all data is captured
-      await new Promise((resolve, reject) => {
-        transaction.oncomplete = resolve;
-        transaction.onerror = (e) => reject(e.target.error);
-      });
-    } catch (err) {
-      console.error("SnapshotGet: Failed to capture snapshot:", err);
-      handle.data.clear();
-      dbHandle.snapshots.delete(handle.id);
-    }
-  },
+    transaction.oncomplete = () => {
+      callback(null, progress);
+    };
 
-  snapshotRelease(dbHandle, handle) {
-    if (handle && handle.id) {
-      dbHandle.snapshots.delete(handle.id);
-    }
+    transaction.onabort = (event) => {
+      const error = event.target.error;
+      callback(
+        failure || error || RocksDBError.ABORTED("Compaction was aborted"),
+        null
+      );
+    };
+
+    return req;
   },
 
   // Iterator management
@@ -502,70 +1964,40 @@ const binding = {
       lt = null,
       lte = null,
       reverse = false,
-      limit = 0,
+      limit = Infinity,
       keyEncoding = null,
       valueEncoding = null,
       snapshot = null,
       prefix = null,
     } = options;
 
-    // Ensure database is open
-    assertOpen(dbHandle, "IteratorInit");
+    const handle = {
+      db: dbHandle,
+      columnFamily: cfHandle,
+      reverse,
+      limit: limit > 0 ? limit : Infinity,
+      keyEncoding,
+      valueEncoding,
+      snapshotId: snapshot && snapshot._handle ? snapshot._handle.id : null,
+      gt: encodeBound(keyEncoding, gt),
+      gte: encodeBound(keyEncoding, gte),
+      lt: encodeBound(keyEncoding, lt),
+      lte: encodeBound(keyEncoding, lte),
+      prefix: encodeBound(keyEncoding, prefix),
+      isReleased: false,
+    };
 
-    // Generate a unique ID for this iterator
-    const id = getRandomId();
+    if (handle.prefix !== null) applyPrefix(handle);
 
-    // Store iterator state
-    _iterators[id] = {
-      dbHandle,
-      cfHandle,
-      options: {
-        ...options,
-        keyEncoding,
-        valueEncoding,
-        snapshot: snapshot ? snapshot._handle || null : null,
-      },
-      gt:
-        gt !== null
-          ? keyEncoding
-            ? c.encode(keyEncoding, gt)
-            : Buffer.from(gt)
-          : null,
-      gte:
-        gte !== null
-          ? keyEncoding
-            ? c.encode(keyEncoding, gte)
-            : Buffer.from(gte)
-          : null,
-      lt:
-        lt !== null
-          ? keyEncoding
-            ? c.encode(keyEncoding, lt)
-            : Buffer.from(lt)
-          : null,
-      lte:
-        lte !== null
-          ? keyEncoding
-            ? c.encode(keyEncoding, lte)
-            : Buffer.from(lte)
-          : null,
-      prefix:
-        prefix !== null
-          ? keyEncoding
-            ? c.encode(keyEncoding, prefix)
-            : Buffer.from(prefix)
-          : null,
-      currentKey: null,
-      iterating: false,
-    };
+    dbHandle.iterators.add(handle);
 
-    return id;
+    return handle;
   },
 
   iteratorSeek(handle, target) {
-    return new Promise(async (resolve, reject) => {
+    return new Promise((resolve, reject) => {
       if (handle.isReleased) {
-        reject(new Error("Iterator is released"));
+        reject(RocksDBError.CLOSED("Iterator is released"));
         return;
       }
 
@@ -574,296 +2006,97 @@ const binding = {
         handle.db.suspended &&
         (handle.db.closing || handle.db.closed || !handle.db.db)
       ) {
-        reject(new Error("Database was closed during suspension"));
+        reject(RocksDBError.CLOSED("Database was closed during suspension"));
         return;
       }
 
-      // Set seeking flag and reset state
-      handle._seeking = true;
+      // Reset the position, the next read starts at the range boundary
       handle._count = 0;
-      handle._first = true;
-      handle._cursor = null;
-      handle._snapshotData = null;
-      handle._snapshotIndex = 0;
-      if (handle._nextPromise) {
-        // If a previous next() was pending, reject it as seek invalidates it
-        handle._nextPromise.reject(
-          new Error("Iterator seek invalidated pending next()")
-        );
-        handle._nextPromise = null;
-      }
-
-      try {
-        // If using a snapshot, prepare the snapshot data
-        if (handle.snapshotId) {
-          const snapshot = handle.db.snapshots.get(handle.snapshotId);
-          if (
-            snapshot &&
-            snapshot.data &&
-            snapshot.data.has(handle.columnFamily.name)
-          ) {
-            const cfData = snapshot.data.get(handle.columnFamily.name);
-
-            // Convert Map to Array and sort
-            handle._snapshotData = Array.from(cfData.entries())
-              .map(([key, value]) => ({ key: key, value: value })) // Already buffers
-              .sort((a, b) => {
-                // Compare keys directly (assuming they are strings/buffers)
-                const keyA = Buffer.isBuffer(a.key)
-                  ? a.key
-                  : Buffer.from(a.key);
-                const keyB = Buffer.isBuffer(b.key)
-                  ? b.key
-                  : Buffer.from(b.key);
-                const cmp = Buffer.compare(keyA, keyB);
-                return handle.reverse ? -cmp : cmp;
-              });
-          } else {
-            // Snapshot exists but no data for this CF, or snapshot missing
-            handle._snapshotData = []; // Ensure it's an empty array
-          }
-        } else {
-          // Not using snapshot, prepare for live cursor iteration
-          // The actual cursor opening will happen in the first iteratorNext call
-        }
+      handle._lastKey = null;
+      handle._ended = false;
 
-        // Resolve immediately, next() will do the work
-        handle._seeking = false;
-        resolve();
-      } catch (err) {
-        handle._seeking = false;
-        reject(err);
-      }
+      resolve();
     });
   },
 
-  iteratorNext(handle) {
+  // Read the next chunk of up to `count` entries. Every chunk runs in its own
+  // short readonly transaction and continues after the last key returned, so
+  // no transaction or cursor is held open between reads. An empty array
+  // means the iterator is exhausted.
+  iteratorRead(handle, count) {
     return new Promise((resolve, reject) => {
-      // Helper to resolve/reject and clear promise, ensuring it's called only once
-      let finished = false;
-      const finish = (action, value) => {
-        if (finished || !handle._nextPromise) return;
-        finished = true;
-        if (action === "resolve") handle._nextPromise.resolve(value);
-        else handle._nextPromise.reject(value);
-        handle._nextPromise = null;
-      };
-
-      // Prevent concurrent next() calls
-      if (handle._nextPromise) {
-        console.warn(
-          "[Iterator Binding] Concurrent next() call detected, returning existing promise."
-        );
-        return handle._nextPromise.promise.then(resolve).catch(reject);
+      if (handle.isReleased) {
+        reject(RocksDBError.CLOSED("Iterator is released"));
+        return;
       }
 
-      // Store the promise resolvers for the current call
-      let currentPromise = {};
-      const promise = new Promise((res, rej) => {
-        currentPromise.resolve = res;
-        currentPromise.reject = rej;
-      });
-      handle._nextPromise = {
-        promise,
-        resolve: currentPromise.resolve,
-        reject: currentPromise.reject,
-      };
-
-      const proceed = async () => {
-        try {
-          if (handle.isReleased) {
-            throw new Error("Iterator is released");
-          }
-
-          if (
-            handle.db.suspended &&
-            (handle.db.closing || handle.db.closed || !handle.db.db)
-          ) {
-            throw new Error("Database was closed during suspension");
-          }
-
-          if (handle._count >= handle.limit) {
-            finish("resolve", { key: null, value: null });
-            return;
-          }
-
-          // --- Snapshot Iteration ---
-          if (handle.snapshotId) {
-            if (
-              !handle._snapshotData ||
-              handle._snapshotIndex >= handle._snapshotData.length
-            ) {
-              finish("resolve", { key: null, value: null });
-              return;
-            }
-            const entry = handle._snapshotData[handle._snapshotIndex];
-            handle._snapshotIndex++;
-            handle._count++;
-            // Assume snapshot data is already correct Buffer format from snapshotGet
-            const decodedKey = handle.keyEncoding
-              ? c.decode(handle.keyEncoding, entry.key)
-              : entry.key;
-            const decodedValue = handle.valueEncoding
-              ? c.decode(handle.valueEncoding, entry.value)
-              : entry.value;
-            finish("resolve", { key: decodedKey, value: decodedValue });
-            return;
-          }
+      if (
+        handle.db.suspended &&
+        (handle.db.closing || handle.db.closed || !handle.db.db)
+      ) {
+        reject(RocksDBError.CLOSED("Database was closed during suspension"));
+        return;
+      }
 
-          // --- Live Data Iteration (Cursor) ---
-          const db = handle.db.db;
-          if (!db) {
-            throw new Error("Database is closed");
-          }
+      count = Math.min(count, handle.limit - handle._count);
 
-          const storeName = handle.columnFamily.name;
-          const direction = handle.reverse ? "prev" : "next";
+      if (handle._ended || count <= 0) {
+        resolve([]);
+        return;
+      }
 
-          const processCursorResult = (cursor) => {
-            handle._cursor = cursor; // Store current cursor
-            if (!cursor) {
-              finish("resolve", { key: null, value: null }); // End of iteration
-              return;
-            }
+      const onentries = (err, keys, values, exhausted) => {
+        if (err) {
+          reject(err);
+          return;
+        }
 
-            handle._count++;
-            const key = cursor.key;
-            const value = cursor.value;
-            let keyBuffer, valueBuffer;
-
-            // Ensure key/value are Buffers
-            try {
-              keyBuffer = Buffer.isBuffer(key) ? key : Buffer.from(key);
-              valueBuffer = Buffer.isBuffer(value)
-                ? value
-                : Buffer.from(value || ""); // Handle null/undefined value
-            } catch (bufferErr) {
-              throw new Error(
-                `Failed to convert cursor key/value to buffer: ${bufferErr.message}`
-              );
-            }
+        try {
+          const entries = new Array(keys.length);
 
-            // Decode key/value
-            let decodedKey, decodedValue;
-            try {
-              decodedKey = handle.keyEncoding
-                ? c.decode(handle.keyEncoding, keyBuffer)
-                : keyBuffer;
-              decodedValue = handle.valueEncoding
-                ? c.decode(handle.valueEncoding, valueBuffer)
-                : valueBuffer;
-            } catch (decodeErr) {
-              throw new Error(
-                `Failed to decode key/value: ${decodeErr.message}`
-              );
-            }
+          for (let i = 0; i < keys.length; i++) {
+            const key = keys[i];
+            const value = values[i] ? Buffer.from(values[i]) : Buffer.alloc(0);
 
-            finish("resolve", { key: decodedKey, value: decodedValue });
-            // Note: We resolve here, the cursor needs explicit .continue() on the *next* call
-          };
-
-          // If we have an existing cursor, continue it
-          if (handle._cursor) {
-            // Wrap continue in a request-like structure for error handling consistency
-            try {
-              // Create a temporary promise for the continue operation
-              const continuePromise = new Promise(
-                (continueResolve, continueReject) => {
-                  // Define temporary handlers for this specific continue call
-                  const onSuccess = (event) => {
-                    processCursorResult(event.target.result);
-                    continueResolve(); // Resolve the continue promise
-                  };
-                  const onError = (event) => {
-                    continueReject(
-                      event.target.error || new Error("Cursor continue failed")
-                    );
-                  };
-
-                  // Assign temporary handlers
-                  handle._cursorRequest.onsuccess = onSuccess;
-                  handle._cursorRequest.onerror = onError;
-
-                  // Call continue
-                  handle._cursor.continue();
-                }
-              );
-              await continuePromise; // Wait for continue to finish
-            } catch (continueErr) {
-              finish("reject", continueErr); // Reject the main promise if continue fails
-            }
-            return; // Finished processing continue
+            entries[i] = {
+              key: handle.keyEncoding ? c.decode(handle.keyEncoding, key) : key,
+              value: handle.valueEncoding
+                ? c.decode(handle.valueEncoding, value)
+                : value,
+            };
           }
 
-          // If it's the first call or cursor was exhausted, open a new one
-          if (handle._first) {
-            handle._first = false;
-
-            const transaction = db.transaction([storeName], "readonly");
-            const store = transaction.objectStore(storeName);
-            let keyRange = null;
-
-            try {
-              const lower = handle.gte ?? handle.gt;
-              const upper = handle.lte ?? handle.lt;
-              const lowerOpen = handle.gt !== null && handle.gt !== undefined;
-              const upperOpen = handle.lt !== null && handle.lt !== undefined;
-
-              // Convert keys to appropriate type for IDBKeyRange if needed (assuming string/Buffer)
-              const lowerKey = Buffer.isBuffer(lower)
-                ? lower.toString()
-                : lower;
-              const upperKey = Buffer.isBuffer(upper)
-                ? upper.toString()
-                : upper;
-
-              if (lowerKey !== undefined && upperKey !== undefined) {
-                keyRange = IDBKeyRange.bound(
-                  lowerKey,
-                  upperKey,
-                  lowerOpen,
-                  upperOpen
-                );
-              } else if (lowerKey !== undefined) {
-                keyRange = IDBKeyRange.lowerBound(lowerKey, lowerOpen);
-              } else if (upperKey !== undefined) {
-                keyRange = IDBKeyRange.upperBound(upperKey, upperOpen);
-              }
-            } catch (e) {
-              throw new Error(
-                `Invalid key format for IDBKeyRange: ${e.message}`
-              );
-            }
-
-            handle._cursorRequest = store.openCursor(keyRange, direction);
-
-            handle._cursorRequest.onerror = (event) => {
-              finish(
-                "reject",
-                event.target.error || new Error("Failed to open cursor")
-              );
-            };
+          if (exhausted) handle._ended = true;
+          if (keys.length > 0) handle._lastKey = keys[keys.length - 1];
 
-            handle._cursorRequest.onsuccess = (event) => {
-              try {
-                processCursorResult(event.target.result);
-              } catch (processErr) {
-                finish("reject", processErr);
-              }
-            };
-          } else {
-            // Should have been handled by the handle._cursor check above
-            // If we reach here, it means the cursor ended previously
-            finish("resolve", { key: null, value: null });
-          }
+          handle._count += keys.length;
+          resolve(entries);
         } catch (err) {
-          finish("reject", err);
+          reject(err);
         }
       };
 
-      proceed();
+      const db = handle.db.db;
+      if (!db) {
+        reject(RocksDBError.CLOSED("Database is closed"));
+        return;
+      }
+
+      try {
+        // --- Snapshot Iteration ---
+        if (handle.snapshotId) {
+          const snapshot = handle.db.snapshots.get(handle.snapshotId);
+          if (!snapshot) throw RocksDBError.CLOSED("Snapshot is released");
+
+          readSnapshotRange(handle, snapshot, count, onentries);
+          return;
+        }
 
-      promise.then(resolve).catch(reject);
+        // --- Live Data Iteration ---
+        readLiveRange(handle, count, onentries);
+      } catch (err) {
+        reject(err);
+      }
     });
   },
 
@@ -873,17 +2106,9 @@ const binding = {
       handle.db.iterators.delete(handle);
     }
 
-    // Reject any pending next() promise
-    if (handle._nextPromise) {
-      handle._nextPromise.reject(new Error("Iterator released"));
-      handle._nextPromise = null;
-    }
-
     // Mark as released and clear internal state
     handle.isReleased = true;
-    handle._cursor = null;
-    handle._cursorRequest = null;
-    handle._snapshotData = null;
+    handle._lastKey = null;
   },
 
   // Suspend operations
@@ -900,7 +2125,7 @@ const binding = {
     }
 
     // Record this handle as the owner of the suspended database
-    suspendedDatabases.set(handle.path, {
+    registry(handle.indexedDB).suspendedDatabases.set(handle.path, {
       handleId: handle.id,
       timestamp: Date.now(),
       claimed: false,
@@ -921,12 +2146,20 @@ const binding = {
       return req;
     }
 
+    const { suspendedDatabases, pendingFlushOperations } = registry(
+      handle.indexedDB
+    );
+
     // Check if this database path was claimed by another instance during suspension
     const suspendedInfo = suspendedDatabases.get(handle.path);
     if (suspendedInfo) {
       // Only reject if it's still claimed
       if (suspendedInfo.claimed === true) {
-        callback("Database was opened by another instance during suspension");
+        callback(
+          RocksDBError.SUSPENDED(
+            "Database was opened by another instance during suspension"
+          )
+        );
         return req;
       }
     } else {
@@ -938,7 +2171,7 @@ const binding = {
 
     // Check if closing or closed
     if (handle.closing || handle.closed || !handle.db) {
-      callback("Database is closed or closing");
+      callback(RocksDBError.CLOSED("Database is closed or closing"));
       return req;
     }
 
@@ -1,5 +1,6 @@
-import binding from "./binding.js";
+import { validateCompactionFilter } from "./compaction-filter.js";
 import { BloomFilterPolicy } from "./filter-policy.js";
+import { validateMergeOperator } from "./merge-operator.js";
 
 class RocksDBColumnFamily {
   constructor(name, opts = {}) {
@@ -16,8 +17,21 @@ class RocksDBColumnFamily {
       optimizeFiltersForMemory = false,
       blockCache = true,
       filterPolicy = new BloomFilterPolicy(10),
+      // See ./merge-operator.js
+      mergeOperator = null,
+      // Milliseconds until values written without a ttl of their own expire
+      defaultTtl = null,
+      // See ./compaction-filter.js
+      compactionFilter = null,
     } = opts;
 
+    if (
+      defaultTtl !== null &&
+      (!Number.isInteger(defaultTtl) || defaultTtl <= 0)
+    ) {
+      throw new Error("defaultTtl must be a positive integer");
+    }
+
     this._name = name;
     this._flushing = null;
     this._options = {
@@ -31,6 +45,9 @@ class RocksDBColumnFamily {
       optimizeFiltersForMemory,
       blockCache,
       filterPolicy,
+      mergeOperator: validateMergeOperator(mergeOperator),
+      defaultTtl,
+      compactionFilter: validateCompactionFilter(compactionFilter),
     };
 
     // For IndexedDB, we simplify column family initialization
@@ -45,6 +62,18 @@ class RocksDBColumnFamily {
     return this._name;
   }
 
+  get mergeOperator() {
+    return this._options.mergeOperator;
+  }
+
+  get defaultTtl() {
+    return this._options.defaultTtl;
+  }
+
+  get compactionFilter() {
+    return this._options.compactionFilter;
+  }
+
   destroy() {
     // No need to destroy anything in IndexedDB implementation
     this._handle = null;
@@ -0,0 +1,40 @@
+// Compaction filters decide what happens to every entry compactRange()
+// visits, like RocksDB's CompactionFilter:
+//
+//   filter(key, value) -> "keep" | "remove" | { value }
+//
+// Returning { value } replaces the stored value. Keys and values are Buffers.
+
+function validateCompactionFilter(filter) {
+  if (filter === null) return null;
+
+  if (typeof filter !== "function") {
+    throw new Error("Compaction filter must be a function");
+  }
+
+  return filter;
+}
+
+// The value an entry keeps after filtering: the same value when it is kept,
+// null when it is removed, or the new value
+function applyFilter(filter, key, value) {
+  const decision = filter(key, value);
+
+  if (decision === "keep") return value;
+  if (decision === "remove") return null;
+
+  if (
+    decision !== null &&
+    typeof decision === "object" &&
+    decision.value !== null &&
+    decision.value !== undefined
+  ) {
+    return Buffer.from(decision.value);
+  }
+
+  throw new Error(
+    'Compaction filter must return "keep", "remove" or { value }'
+  );
+}
+
+export { applyFilter, validateCompactionFilter };
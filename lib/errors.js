@@ -0,0 +1,110 @@
+// Errors carry the codes of rocksdb-native, so callers can tell failures
+// apart by err.code rather than by message. Errors raised by IndexedDB are
+// kept as the cause.
+
+class RocksDBError extends Error {
+  constructor(msg, code, fn = RocksDBError, opts) {
+    super(msg, opts);
+    this.code = code;
+
+    if (Error.captureStackTrace) Error.captureStackTrace(this, fn);
+  }
+
+  get name() {
+    return "RocksDBError";
+  }
+
+  // A column family, object store or database that does not exist
+  static NOT_FOUND(msg, opts) {
+    return new RocksDBError(msg, "NOT_FOUND", RocksDBError.NOT_FOUND, opts);
+  }
+
+  // A transaction read a key that was written after it began
+  static BUSY(msg, opts) {
+    return new RocksDBError(msg, "BUSY", RocksDBError.BUSY, opts);
+  }
+
+  // A request that cannot be carried out as asked, like dropping the
+  // column family of the root session
+  static INVALID_ARGUMENT(msg, opts) {
+    return new RocksDBError(
+      msg,
+      "INVALID_ARGUMENT",
+      RocksDBError.INVALID_ARGUMENT,
+      opts
+    );
+  }
+
+  static READ_ONLY(msg, opts) {
+    return new RocksDBError(msg, "READ_ONLY", RocksDBError.READ_ONLY, opts);
+  }
+
+  static CLOSED(msg, opts) {
+    return new RocksDBError(msg, "CLOSED", RocksDBError.CLOSED, opts);
+  }
+
+  // The database is suspended, or was taken over by another instance while
+  // it was
+  static SUSPENDED(msg, opts) {
+    return new RocksDBError(msg, "SUSPENDED", RocksDBError.SUSPENDED, opts);
+  }
+
+  static QUOTA_EXCEEDED(msg, opts) {
+    return new RocksDBError(
+      msg,
+      "QUOTA_EXCEEDED",
+      RocksDBError.QUOTA_EXCEEDED,
+      opts
+    );
+  }
+
+  // Work that was dropped before it was applied, or only partly applied
+  static ABORTED(msg, opts) {
+    return new RocksDBError(msg, "ABORTED", RocksDBError.ABORTED, opts);
+  }
+
+  // The storage engine cannot be used here at all, like IndexedDB in
+  // private browsing
+  static UNAVAILABLE(msg, opts) {
+    return new RocksDBError(msg, "UNAVAILABLE", RocksDBError.UNAVAILABLE, opts);
+  }
+
+  // Data that cannot be read back, or a storage failure IndexedDB cannot
+  // explain
+  static CORRUPTION(msg, opts) {
+    return new RocksDBError(msg, "CORRUPTION", RocksDBError.CORRUPTION, opts);
+  }
+}
+
+// Codes of the DOMExceptions IndexedDB raises. Any other failure aborts the
+// transaction it happened in.
+const DOM_EXCEPTION_CODES = {
+  NotFoundError: "NOT_FOUND",
+  ReadOnlyError: "READ_ONLY",
+  InvalidStateError: "CLOSED",
+  QuotaExceededError: "QUOTA_EXCEEDED",
+  UnknownError: "CORRUPTION",
+};
+
+function isDOMException(err) {
+  return typeof DOMException !== "undefined" && err instanceof DOMException;
+}
+
+// Turn what a storage backend reported into an error. Backends report a
+// RocksDBError or a DOMException. Plain messages from custom backends are
+// still accepted, see ./backend.js.
+// Errors thrown by user code, like a merge operator, are passed through.
+function toError(err) {
+  if (err instanceof RocksDBError) return err;
+
+  if (isDOMException(err)) {
+    const code = DOM_EXCEPTION_CODES[err.name] || "ABORTED";
+    return new RocksDBError(err.message, code, toError, { cause: err });
+  }
+
+  if (err instanceof Error) return err;
+
+  return new Error(String(err));
+}
+
+export { RocksDBError, toError };
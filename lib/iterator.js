@@ -1,9 +1,12 @@
-import binding from "./binding.js";
 import * as c from "compact-encoding";
+import { RocksDBError, toError } from "./errors.js";
 
 // Default timeout for auto-cleanup (ms)
 const ITERATOR_TIMEOUT = 60000; // Standard timeout for production use
 
+// Default number of entries buffered per read from the binding
+const DEFAULT_HIGH_WATER_MARK = 64;
+
 // Debug function
 function debug(...args) {
   if (process.env.DEBUG_ITERATOR) {
@@ -16,7 +19,7 @@ const isBrowser =
   typeof window !== "undefined" && typeof process === "undefined";
 
 // NOTE: ResourceTracker is removed for simplicity in this refactor,
-// assuming db.close() handles iterator cleanup via binding.close()
+// assuming db.close() handles iterator cleanup via backend.close()
 
 /**
  * RocksDBIterator implements a cross-platform compatible iterator for IndexedDB
@@ -28,6 +31,8 @@ class RocksDBIterator {
     debug(`Creating iterator ${this._id} with opts:`, opts);
 
     this._db = db;
+    // Set once the database is open, it may fall back to another backend
+    this._backend = null;
     this._options = opts || {};
     this._handle = null;
     this._destroyed = false;
@@ -35,11 +40,12 @@ class RocksDBIterator {
     this._ended = false;
     this._initialized = false;
     this._limit = opts.limit || Infinity;
+    this._highWaterMark = opts.highWaterMark || DEFAULT_HIGH_WATER_MARK;
     this._count = 0;
     this._entries = [];
     this._currentIndex = 0;
-    this._allDataLoaded = false;
-    this._waitingForResume = false;
+    this._exhausted = false;
+    this._filling = null;
 
     // Reference counting
     db._ref();
@@ -48,14 +54,15 @@ class RocksDBIterator {
     this._options.keyEncoding = this._options.keyEncoding || db._keyEncoding;
     this._options.valueEncoding =
       this._options.valueEncoding || db._valueEncoding;
+    this._options.snapshot = db._snapshot;
 
     // Initialize the iterator immediately, but don't block constructor
     this._initPromise = this._initialize();
   }
 
   /**
-   * Initialize the iterator handle with binding layer and preload all data
-   * to avoid async issues with brittle test framework
+   * Initialize the iterator handle with binding layer. Entries are read
+   * lazily in chunks of at most `highWaterMark` entries.
    */
   async _initialize() {
     if (this._handle || this._destroyed) return;
@@ -69,43 +76,21 @@ class RocksDBIterator {
       // Check if destroyed during waiting
       if (this._destroyed) return;
 
+      this._backend = this._db._state.backend;
+
       // Create the iterator handle
-      this._handle = binding.iteratorInit(
+      this._handle = this._backend.iteratorInit(
         this._db._state._handle,
         this._db._columnFamily,
         this._options
       );
 
       // Seek to initialize position
-      await binding.iteratorSeek(
+      await this._backend.iteratorSeek(
         this._handle,
         this._options.gte || this._options.gt || ""
       );
 
-      // Check if DB is suspended before preloading
-      if (this._db._state._handle.suspended) {
-        this._waitingForResume = true;
-        debug(`Iterator ${this._id}: Database suspended, waiting for resume`);
-
-        // Register a resume listener
-        this._resumePromise = new Promise((resolve) => {
-          // Store the original resume method
-          const originalResume = this._db._state.resume;
-
-          // Override the resume method to also resolve our promise
-          this._db._state.resume = async function (...args) {
-            const result = await originalResume.apply(this, args);
-            resolve();
-            // Restore original method after first call
-            this.resume = originalResume;
-            return result;
-          };
-        });
-      } else {
-        // Preload data immediately if not suspended
-        await this._preloadAllData();
-      }
-
       this._initialized = true;
       debug(`Iterator ${this._id}: Initialized`);
     } catch (err) {
@@ -115,42 +100,35 @@ class RocksDBIterator {
   }
 
   /**
-   * Preload all data for this iterator to avoid async issues with test framework
+   * Replace the buffer with the next chunk of entries from the binding
    */
-  async _preloadAllData() {
-    try {
-      const entries = [];
-      let lastKey = null;
+  async _fill() {
+    const state = this._db._state;
 
-      // Continue fetching until we reach the end or limit
-      while (entries.length < this._limit) {
-        const entry = await binding.iteratorNext(this._handle);
+    // Wait for the database to resume before touching it
+    if (state.resumed !== null) {
+      debug(`Iterator ${this._id}: Database suspended, waiting for resume`);
 
-        // If no more entries, break
-        if (!entry || entry.key === null) {
-          break;
-        }
+      // Resolves to false if the database is closed while suspended
+      const resumed = await state.resumed.promise;
+      if (!resumed) throw RocksDBError.CLOSED("RocksDB session is closed");
+    }
 
-        // Store the entry
-        entries.push({
-          key: entry.key,
-          value: entry.value,
-        });
+    if (this._destroyed) return;
 
-        // Update last key
-        lastKey = entry.key;
-      }
+    const count = Math.min(this._highWaterMark, this._limit - this._count);
+    const entries = await this._backend.iteratorRead(this._handle, count);
 
-      // Store the entries
-      this._entries = entries;
-      this._allDataLoaded = true;
-      this._waitingForResume = false;
+    this._entries = entries;
+    this._currentIndex = 0;
 
-      debug(`Iterator ${this._id}: Preloaded ${entries.length} entries`);
-    } catch (err) {
-      debug(`Iterator ${this._id}: Error preloading data:`, err);
-      throw err;
+    // A short chunk means the range is exhausted
+    if (entries.length < count || this._count + entries.length >= this._limit) {
+      this._exhausted = true;
+      this._release();
     }
+
+    debug(`Iterator ${this._id}: Read ${entries.length} entries`);
   }
 
   /**
@@ -169,14 +147,20 @@ class RocksDBIterator {
         await this._initPromise;
       }
 
-      // If waiting for resume, wait for it
-      if (this._waitingForResume) {
-        debug(`Iterator ${this._id}: Waiting for database to resume`);
-        await this._resumePromise;
+      // Only one chunk is read at a time
+      while (this._filling !== null) await this._filling;
 
-        // Load data after resume completes
-        if (!this._allDataLoaded) {
-          await this._preloadAllData();
+      if (
+        this._currentIndex >= this._entries.length &&
+        !this._exhausted &&
+        !this._destroyed
+      ) {
+        this._filling = this._fill();
+
+        try {
+          await this._filling;
+        } finally {
+          this._filling = null;
         }
       }
 
@@ -188,22 +172,19 @@ class RocksDBIterator {
         return { done: true };
       }
 
-      // If we've reached the end of our preloaded data
+      // If we've reached the end of the buffered data and the range
       if (this._currentIndex >= this._entries.length) {
         this._ended = true;
-        debug(
-          `Iterator ${this._id}: Reached end of entries (${this._entries.length})`
-        );
+        debug(`Iterator ${this._id}: Reached end after ${this._count} entries`);
+        // Release the session reference so close() is not held open
+        this.destroy();
         return { done: true };
       }
 
       // Get the entry at current index and advance
-      const entry = this._entries[this._currentIndex++];
-      debug(
-        `Iterator ${this._id}: Returning entry ${this._currentIndex - 1} of ${
-          this._entries.length
-        }`
-      );
+      const entry = this._entries[this._currentIndex];
+      this._entries[this._currentIndex++] = null;
+      this._count++;
 
       // Return the entry
       return {
@@ -214,9 +195,10 @@ class RocksDBIterator {
         },
       };
     } catch (err) {
-      debug(`Iterator ${this._id}: Error during next():`, err);
-      this.destroy(err);
-      throw err;
+      const error = toError(err);
+      debug(`Iterator ${this._id}: Error during next():`, error);
+      this.destroy(error);
+      throw error;
     }
   }
 
@@ -233,10 +215,20 @@ class RocksDBIterator {
     this._destroyed = true;
     this._ended = true;
 
-    // Release the binding handle
+    this._release();
+
+    // Clear entries to free memory
+    this._entries = [];
+  }
+
+  /**
+   * Release the binding handle and the session reference. Buffered entries
+   * stay readable, so this also runs as soon as the range is exhausted.
+   */
+  _release() {
     if (this._handle) {
       try {
-        binding.iteratorRelease(this._handle);
+        this._backend.iteratorRelease(this._handle);
         debug(`Iterator ${this._id}: Released handle`);
       } catch (releaseErr) {
         debug(`Iterator ${this._id}: Error releasing handle:`, releaseErr);
@@ -249,9 +241,6 @@ class RocksDBIterator {
       this._db._unref();
       this._db = null;
     }
-
-    // Clear entries to free memory
-    this._entries = [];
   }
 
   /**
@@ -0,0 +1,98 @@
+// Write sequences of keys, used by the storage backends to detect conflicts
+// of optimistic transactions. A transaction conflicts when a key it read was
+// written after the transaction began. Versions are only kept while
+// transactions are open, and only as far back as the oldest one needs.
+
+// Reported when an optimistic transaction read a key that was written after
+// it began
+const BUSY = "Busy: a key read by the transaction was written since it began";
+
+class KeyVersions {
+  constructor() {
+    this.transactions = new Set();
+    // Column family -> hex key -> sequence of the last write
+    this.keys = new Map();
+    // Delete ranges, { columnFamily, start, end, sequence }
+    this.ranges = [];
+  }
+
+  begin(sequence) {
+    const transaction = { sequence };
+    this.transactions.add(transaction);
+    return transaction;
+  }
+
+  end(transaction) {
+    if (this.transactions.delete(transaction)) this.prune();
+  }
+
+  record(columnFamily, op, sequence) {
+    if (this.transactions.size === 0) return;
+
+    if (op.type === "delRange") {
+      this.ranges.push({
+        columnFamily,
+        start: Buffer.from(op.start),
+        end: Buffer.from(op.end),
+        sequence,
+      });
+      return;
+    }
+
+    let keys = this.keys.get(columnFamily);
+    if (!keys) this.keys.set(columnFamily, (keys = new Map()));
+
+    keys.set(Buffer.from(op.key).toString("hex"), sequence);
+  }
+
+  // The first read, { columnFamily, key }, written after the transaction
+  // began, or null
+  conflict(transaction, reads) {
+    for (const read of reads) {
+      const key = Buffer.from(read.key);
+      const keys = this.keys.get(read.columnFamily);
+      const sequence = keys ? keys.get(key.toString("hex")) : undefined;
+
+      if (sequence !== undefined && sequence > transaction.sequence) {
+        return read;
+      }
+
+      for (const range of this.ranges) {
+        if (
+          range.sequence > transaction.sequence &&
+          range.columnFamily === read.columnFamily &&
+          Buffer.compare(key, range.start) >= 0 &&
+          Buffer.compare(key, range.end) < 0
+        ) {
+          return read;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  prune() {
+    if (this.transactions.size === 0) {
+      this.keys.clear();
+      this.ranges = [];
+      return;
+    }
+
+    let oldest = Infinity;
+    for (const transaction of this.transactions) {
+      if (transaction.sequence < oldest) oldest = transaction.sequence;
+    }
+
+    for (const keys of this.keys.values()) {
+      for (const [id, sequence] of keys) {
+        if (sequence <= oldest) keys.delete(id);
+      }
+    }
+
+    this.ranges = this.ranges.filter((range) => range.sequence > oldest);
+  }
+}
+
+export default KeyVersions;
+export { BUSY };
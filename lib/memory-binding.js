@@ -0,0 +1,844 @@
+// In-memory implementation of the RocksDB binding interface. Used when
+// IndexedDB is unavailable, for example in private browsing modes, or when
+// opening a database with `{ storage: "memory" }`. Data lives as long as the
+// process and is shared by every instance opened on the same path.
+import * as c from "compact-encoding";
+import KeyVersions, { BUSY } from "./key-versions.js";
+import { applyFilter } from "./compaction-filter.js";
+import { RocksDBError } from "./errors.js";
+import { applyMerge } from "./merge-operator.js";
+import { applyPrefix, encodeBound, inRange } from "./range.js";
+
+// Databases by path
+const databases = new Map();
+
+// Entries of a column family, sorted bytewise by key. Entries written with
+// a TTL have an expiry time, the others null. Snapshots share the
+// entries array, so it is copied before the next write changes it.
+class MemoryStore {
+  constructor() {
+    this.entries = [];
+    this.shared = false;
+  }
+
+  mutable() {
+    if (this.shared) {
+      this.entries = this.entries.slice();
+      this.shared = false;
+    }
+
+    return this.entries;
+  }
+}
+
+// Index of the first entry with a key greater than or equal to the key
+function lowerIndex(entries, key) {
+  let low = 0;
+  let high = entries.length;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (Buffer.compare(entries[mid].key, key) < 0) low = mid + 1;
+    else high = mid;
+  }
+
+  return low;
+}
+
+// Index of the first entry with a key greater than the key
+function upperIndex(entries, key) {
+  let low = 0;
+  let high = entries.length;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (Buffer.compare(entries[mid].key, key) <= 0) low = mid + 1;
+    else high = mid;
+  }
+
+  return low;
+}
+
+function live(entry, now) {
+  return entry.expires === null || entry.expires > now;
+}
+
+function find(entries, key, now) {
+  const i = lowerIndex(entries, key);
+
+  if (i < entries.length && entries[i].key.equals(key)) {
+    return live(entries[i], now) ? entries[i] : null;
+  }
+
+  return null;
+}
+
+function get(entries, key, now) {
+  const entry = find(entries, key, now);
+  return entry === null ? null : entry.value;
+}
+
+function put(entries, key, value, expires = null) {
+  const i = lowerIndex(entries, key);
+  const entry = { key: Buffer.from(key), value: Buffer.from(value), expires };
+
+  if (i < entries.length && entries[i].key.equals(key)) entries[i] = entry;
+  else entries.splice(i, 0, entry);
+}
+
+function del(entries, key) {
+  const i = lowerIndex(entries, key);
+  if (i < entries.length && entries[i].key.equals(key)) entries.splice(i, 1);
+}
+
+function delRange(entries, start, end) {
+  if (Buffer.compare(start, end) >= 0) return;
+
+  const i = lowerIndex(entries, start);
+  const j = lowerIndex(entries, end);
+  entries.splice(i, j - i);
+}
+
+// Put back the entry of a key as it was, where null means it was not set
+function restore(entries, key, entry) {
+  const i = lowerIndex(entries, key);
+  const found = i < entries.length && entries[i].key.equals(key);
+
+  if (entry === null) {
+    if (found) entries.splice(i, 1);
+  } else if (found) {
+    entries[i] = entry;
+  } else {
+    entries.splice(i, 0, entry);
+  }
+}
+
+// Undo an operation that is about to be applied to the entries. Undoing the
+// operations of a write in reverse order restores the entries.
+function undoOperation(entries, op) {
+  if (op.type === "delRange") {
+    const start = Buffer.from(op.start);
+    const end = Buffer.from(op.end);
+
+    if (Buffer.compare(start, end) >= 0) return () => {};
+
+    const i = lowerIndex(entries, start);
+    const removed = entries.slice(i, lowerIndex(entries, end));
+
+    return () => entries.splice(i, 0, ...removed);
+  }
+
+  const key = Buffer.from(op.key);
+  const i = lowerIndex(entries, key);
+  const entry =
+    i < entries.length && entries[i].key.equals(key) ? entries[i] : null;
+
+  return () => restore(entries, key, entry);
+}
+
+// Add to the expiry list of a database, which is ordered by expiry time
+function expire(db, columnFamily, key, expires) {
+  let low = 0;
+  let high = db.expiry.length;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (db.expiry[mid].expires <= expires) low = mid + 1;
+    else high = mid;
+  }
+
+  db.expiry.splice(low, 0, { expires, columnFamily, key: Buffer.from(key) });
+}
+
+function defer(fn) {
+  queueMicrotask(fn);
+}
+
+const memoryBinding = {
+  // Initialize a new database instance
+  init(
+    readOnly,
+    createIfMissing,
+    createMissingColumnFamilies,
+    maxBackgroundJobs,
+    bytesPerSync,
+    maxOpenFiles,
+    useDirectReads
+  ) {
+    return {
+      readOnly,
+      createIfMissing,
+      createMissingColumnFamilies,
+      columnFamilies: new Map(),
+      snapshots: new Map(),
+      sequence: 0,
+      versions: new KeyVersions(),
+      path: null,
+      db: null,
+      suspended: false,
+      closing: false,
+      closed: false,
+      pendingFlushes: [],
+      iterators: new Set(),
+    };
+  },
+
+  // Open the database, creating it and its column families as needed
+  open(handle, state, path, columnFamilyHandles, req, callback) {
+    handle.path = path;
+
+    let db = databases.get(path);
+
+    if (!db) {
+      db = { stores: new Map(), expiry: [] };
+      databases.set(path, db);
+    }
+
+    const names = columnFamilyHandles.map((cfHandle) => cfHandle.name);
+    const missing = names.filter((name) => !db.stores.has(name));
+
+    if (
+      missing.length > 0 &&
+      db.stores.size > 0 &&
+      (!handle.createMissingColumnFamilies || handle.readOnly)
+    ) {
+      defer(() =>
+        callback(
+          RocksDBError.NOT_FOUND(
+            `Column family does not exist: ${missing.join(", ")}`
+          )
+        )
+      );
+      return req;
+    }
+
+    for (const name of missing) db.stores.set(name, new MemoryStore());
+
+    handle.db = db;
+
+    columnFamilyHandles.forEach((cfHandle) => {
+      handle.columnFamilies.set(cfHandle.name, cfHandle);
+    });
+
+    defer(() => callback(null));
+    return req;
+  },
+
+  // Close the database
+  close(handle, req, callback) {
+    handle.closing = true;
+
+    for (const iterator of handle.iterators) iterator.isReleased = true;
+    handle.iterators.clear();
+
+    for (const pending of handle.pendingFlushes) {
+      pending(
+        RocksDBError.CLOSED("Database closed before flush could complete")
+      );
+    }
+    handle.pendingFlushes = [];
+
+    handle.db = null;
+    handle.closed = true;
+
+    defer(() => callback(null));
+    return req;
+  },
+
+  // Memory writes are applied immediately, flushing only waits for resume
+  flush(handle, columnFamilyHandle, req, callback) {
+    if (handle.suspended) {
+      handle.pendingFlushes.push(callback);
+      return req;
+    }
+
+    if (handle.closing || handle.closed || !handle.db) {
+      defer(() =>
+        callback(RocksDBError.CLOSED("Database is closed or closing"))
+      );
+      return req;
+    }
+
+    defer(() => callback(null));
+    return req;
+  },
+
+  suspend(handle, req, callback) {
+    handle.suspended = true;
+    defer(() => callback(null));
+    return req;
+  },
+
+  resume(handle, req, callback) {
+    if (!handle.suspended) {
+      defer(() => callback(null));
+      return req;
+    }
+
+    if (handle.closing || handle.closed || !handle.db) {
+      defer(() =>
+        callback(RocksDBError.CLOSED("Database is closed or closing"))
+      );
+      return req;
+    }
+
+    handle.suspended = false;
+
+    const pending = handle.pendingFlushes;
+    handle.pendingFlushes = [];
+    for (const flushed of pending) flushed(null);
+
+    defer(() => callback(null));
+    return req;
+  },
+
+  dropColumnFamily(handle, name, req, callback) {
+    if (handle.closing || handle.closed || !handle.db) {
+      defer(() =>
+        callback(RocksDBError.CLOSED("Database is closed or closing"))
+      );
+      return req;
+    }
+
+    if (handle.readOnly) {
+      defer(() =>
+        callback(
+          RocksDBError.READ_ONLY("Not supported operation in read only mode")
+        )
+      );
+      return req;
+    }
+
+    handle.columnFamilies.delete(name);
+    handle.db.stores.delete(name);
+
+    defer(() => callback(null));
+    return req;
+  },
+
+  destroy(path, options, req, callback) {
+    databases.delete(path);
+    defer(() => callback(null));
+    return req;
+  },
+
+  listColumnFamilies(path, options, req, callback) {
+    const db = databases.get(path);
+    const names = db ? Array.from(db.stores.keys()).sort() : [];
+
+    defer(() => callback(null, names));
+    return req;
+  },
+
+  // Create a read batch operation
+  readInit() {
+    return { operations: [], results: [] };
+  },
+
+  // Prepare buffer for read operations
+  readBuffer(handle, capacity) {
+    return { capacity };
+  },
+
+  read(
+    dbHandle,
+    batchHandle,
+    operations,
+    snapshotHandle,
+    batchInstance,
+    callback
+  ) {
+    const errors = [];
+    const results = [];
+    const db = dbHandle.db;
+    const now = Date.now();
+
+    const snapshot =
+      snapshotHandle && dbHandle.snapshots.has(snapshotHandle.id)
+        ? snapshotHandle
+        : null;
+
+    for (const op of operations) {
+      const storeName = op.columnFamily.name;
+
+      if (!db) {
+        errors.push(RocksDBError.CLOSED("Database is closed"));
+        results.push(null);
+        continue;
+      }
+
+      const entries =
+        snapshot !== null && snapshot.stores.has(storeName)
+          ? snapshot.stores.get(storeName)
+          : db.stores.has(storeName)
+          ? db.stores.get(storeName).entries
+          : null;
+
+      if (entries === null) {
+        errors.push(
+          RocksDBError.NOT_FOUND(
+            `No objectStore named ${storeName} in this database`
+          )
+        );
+        results.push(null);
+        continue;
+      }
+
+      const value = get(entries, Buffer.from(op.key), now);
+
+      errors.push(null);
+      results.push(value === null ? null : Buffer.from(value));
+    }
+
+    defer(() => callback(errors, results));
+  },
+
+  // Create a write batch operation
+  writeInit() {
+    return { operations: [] };
+  },
+
+  // Prepare buffer for write operations
+  writeBuffer(handle, capacity) {
+    return { capacity };
+  },
+
+  // Apply all operations at once, so the batch stays atomic
+  write(dbHandle, batchHandle, operations, options, callback) {
+    const db = dbHandle.db;
+
+    if (!db) {
+      const err = RocksDBError.CLOSED("Database not open");
+      defer(() => callback(operations.map(() => err)));
+      return;
+    }
+
+    if (dbHandle.readOnly) {
+      const err = RocksDBError.READ_ONLY(
+        "Not supported operation in read only mode"
+      );
+      defer(() => callback(operations.map(() => err)));
+      return;
+    }
+
+    const { transaction = null, reads = [] } = options || {};
+
+    if (
+      transaction !== null &&
+      dbHandle.versions.conflict(transaction, reads) !== null
+    ) {
+      const err = RocksDBError.BUSY(BUSY);
+      defer(() => callback(operations.map(() => err)));
+      return;
+    }
+
+    for (const op of operations) {
+      if (!db.stores.has(op.columnFamily.name)) {
+        const err = RocksDBError.NOT_FOUND(
+          `No objectStore named ${op.columnFamily.name} in this database`
+        );
+        defer(() => callback(operations.map(() => err)));
+        return;
+      }
+    }
+
+    const sequence = ++dbHandle.sequence;
+
+    for (const op of operations) {
+      dbHandle.versions.record(op.columnFamily.name, op, sequence);
+    }
+
+    // Merge operators can throw, so remember what each operation replaced
+    // to roll back to
+    const undo = operations.some((op) => op.type === "merge") ? [] : null;
+
+    // Whether each conditional write was applied
+    const results = operations.map(() => null);
+    const now = Date.now();
+    const expiring = [];
+
+    // Store a value, with its expiry when the operation has a TTL
+    const write = (entries, op, key, value) => {
+      if (op.ttl === null || op.ttl === undefined) {
+        put(entries, key, value);
+        return;
+      }
+
+      put(entries, key, value, now + op.ttl);
+      expiring.push({ name: op.columnFamily.name, key, expires: now + op.ttl });
+    };
+
+    try {
+      for (let i = 0; i < operations.length; i++) {
+        const op = operations[i];
+        const entries = db.stores.get(op.columnFamily.name).mutable();
+
+        if (undo !== null) undo.push(undoOperation(entries, op));
+
+        if (op.type === "put") {
+          write(entries, op, Buffer.from(op.key), op.value);
+        } else if (op.type === "del") {
+          del(entries, Buffer.from(op.key));
+        } else if (op.type === "delRange") {
+          delRange(entries, Buffer.from(op.start), Buffer.from(op.end));
+        } else if (op.type === "merge") {
+          const key = Buffer.from(op.key);
+          const current = find(entries, key, now);
+          const value = applyMerge(
+            op.columnFamily.mergeOperator,
+            key,
+            current === null ? null : current.value,
+            [Buffer.from(op.value)]
+          );
+
+          // Merges without a ttl keep the expiry of the stored value, or
+          // take the column family's defaultTtl when the key is not set
+          if (op.ttl !== undefined) {
+            write(entries, op, key, value);
+          } else if (current !== null) {
+            put(entries, key, value, current.expires);
+          } else {
+            write(
+              entries,
+              { ...op, ttl: op.columnFamily.defaultTtl },
+              key,
+              value
+            );
+          }
+        } else if (op.type === "cas") {
+          const key = Buffer.from(op.key);
+          const current = get(entries, key, now);
+
+          results[i] =
+            op.expected === null
+              ? current === null
+              : current !== null && current.equals(Buffer.from(op.expected));
+
+          if (results[i] && op.value === null) del(entries, key);
+          else if (results[i]) write(entries, op, key, op.value);
+        }
+      }
+    } catch (err) {
+      while (undo.length > 0) undo.pop()();
+
+      defer(() => callback(operations.map(() => err)));
+      return;
+    }
+
+    for (const { name, key, expires } of expiring) {
+      expire(db, name, key, expires);
+    }
+
+    defer(() =>
+      callback(
+        operations.map(() => null),
+        results
+      )
+    );
+  },
+
+  // Create a new snapshot
+  snapshotInit() {
+    return {
+      id: Math.random().toString(36).substring(2, 10), // Generate unique ID
+      stores: new Map(),
+    };
+  },
+
+  // Share the current entries of every column family with the snapshot
+  snapshotGet(dbHandle, handle) {
+    if (!dbHandle.db) return;
+
+    for (const [name, store] of dbHandle.db.stores) {
+      store.shared = true;
+      handle.stores.set(name, store.entries);
+    }
+
+    dbHandle.snapshots.set(handle.id, handle);
+  },
+
+  snapshotRelease(dbHandle, handle) {
+    if (handle && handle.id) {
+      dbHandle.snapshots.delete(handle.id);
+      handle.stores.clear();
+    }
+  },
+
+  transactionInit(dbHandle) {
+    return dbHandle.versions.begin(dbHandle.sequence);
+  },
+
+  transactionRelease(dbHandle, handle) {
+    dbHandle.versions.end(handle);
+  },
+
+  // Delete up to `limit` values whose TTL expired by `now`, the oldest
+  // first. Keys written again since only leave the expiry list.
+  sweep(handle, now, limit, req, callback) {
+    const db = handle.db;
+
+    if (handle.closing || handle.closed || !db) {
+      defer(() =>
+        callback(RocksDBError.CLOSED("Database is closed or closing"), 0)
+      );
+      return req;
+    }
+
+    let removed = 0;
+
+    while (
+      removed < limit &&
+      removed < db.expiry.length &&
+      db.expiry[removed].expires <= now
+    ) {
+      const { expires, columnFamily, key } = db.expiry[removed++];
+      const store = db.stores.get(columnFamily);
+      if (!store) continue;
+
+      const i = lowerIndex(store.entries, key);
+      const entry = store.entries[i];
+
+      if (entry && entry.key.equals(key) && entry.expires === expires) {
+        store.mutable().splice(i, 1);
+      }
+    }
+
+    db.expiry.splice(0, removed);
+
+    defer(() => callback(null, removed));
+    return req;
+  },
+
+  compactRange(
+    handle,
+    columnFamilyHandle,
+    range,
+    limit,
+    filter,
+    req,
+    callback
+  ) {
+    const db = handle.db;
+
+    if (handle.closing || handle.closed || !db) {
+      defer(() =>
+        callback(RocksDBError.CLOSED("Database is closed or closing"), null)
+      );
+      return req;
+    }
+
+    if (handle.readOnly) {
+      defer(() =>
+        callback(
+          RocksDBError.READ_ONLY("Not supported operation in read only mode"),
+          null
+        )
+      );
+      return req;
+    }
+
+    const name = columnFamilyHandle.name;
+    const store = db.stores.get(name);
+
+    if (!store) {
+      const err = RocksDBError.NOT_FOUND(
+        `No objectStore named ${name} in this database`
+      );
+      defer(() => callback(err, null));
+      return req;
+    }
+
+    const entries = store.entries;
+    const progress = { last: null, removed: 0, changed: 0 };
+    const now = Date.now();
+    const changes = [];
+
+    let i =
+      range.after !== null
+        ? upperIndex(entries, range.after)
+        : range.start !== null
+        ? lowerIndex(entries, range.start)
+        : 0;
+
+    let visited = 0;
+
+    try {
+      for (; i < entries.length && visited < limit; i++, visited++) {
+        const entry = entries[i];
+        if (range.end !== null && Buffer.compare(entry.key, range.end) >= 0) {
+          break;
+        }
+
+        // Expired values are dropped whatever the filter says
+        const value = live(entry, now)
+          ? filter === null
+            ? entry.value
+            : applyFilter(filter, entry.key, entry.value)
+          : null;
+
+        if (value !== entry.value) changes.push({ entry, value });
+        if (visited === limit - 1) progress.last = entry.key;
+      }
+    } catch (err) {
+      defer(() => callback(err, null));
+      return req;
+    }
+
+    if (changes.length > 0) {
+      const sequence = ++handle.sequence;
+      const mutable = store.mutable();
+
+      for (const { entry, value } of changes) {
+        handle.versions.record(name, { type: "put", key: entry.key }, sequence);
+
+        if (value === null) {
+          del(mutable, entry.key);
+          progress.removed++;
+        } else {
+          put(mutable, entry.key, value, entry.expires);
+          progress.changed++;
+        }
+      }
+    }
+
+    defer(() => callback(null, progress));
+    return req;
+  },
+
+  iteratorInit(dbHandle, cfHandle, options = {}) {
+    const {
+      gt = null,
+      gte = null,
+      lt = null,
+      lte = null,
+      reverse = false,
+      limit = Infinity,
+      keyEncoding = null,
+      valueEncoding = null,
+      snapshot = null,
+      prefix = null,
+    } = options;
+
+    const handle = {
+      db: dbHandle,
+      columnFamily: cfHandle,
+      reverse,
+      limit: limit > 0 ? limit : Infinity,
+      keyEncoding,
+      valueEncoding,
+      snapshot: snapshot && snapshot._handle ? snapshot._handle : null,
+      gt: encodeBound(keyEncoding, gt),
+      gte: encodeBound(keyEncoding, gte),
+      lt: encodeBound(keyEncoding, lt),
+      lte: encodeBound(keyEncoding, lte),
+      prefix: encodeBound(keyEncoding, prefix),
+      isReleased: false,
+    };
+
+    if (handle.prefix !== null) applyPrefix(handle);
+
+    dbHandle.iterators.add(handle);
+
+    return handle;
+  },
+
+  iteratorSeek(handle, target) {
+    if (handle.isReleased) {
+      return Promise.reject(RocksDBError.CLOSED("Iterator is released"));
+    }
+
+    handle._count = 0;
+    handle._lastKey = null;
+
+    return Promise.resolve();
+  },
+
+  iteratorRead(handle, count) {
+    if (handle.isReleased) {
+      return Promise.reject(RocksDBError.CLOSED("Iterator is released"));
+    }
+
+    const db = handle.db.db;
+    if (!db) return Promise.reject(RocksDBError.CLOSED("Database is closed"));
+
+    const name = handle.columnFamily.name;
+    const snapshot = handle.snapshot;
+
+    let entries;
+
+    if (snapshot !== null) {
+      if (!handle.db.snapshots.has(snapshot.id)) {
+        return Promise.reject(RocksDBError.CLOSED("Snapshot is released"));
+      }
+      entries = snapshot.stores.get(name) || [];
+    } else {
+      entries = db.stores.has(name) ? db.stores.get(name).entries : [];
+    }
+
+    count = Math.min(count, handle.limit - handle._count);
+
+    const now = Date.now();
+    const result = [];
+
+    try {
+      if (handle.reverse) {
+        let i =
+          handle._lastKey !== null
+            ? lowerIndex(entries, handle._lastKey) - 1
+            : handle.lte !== null
+            ? upperIndex(entries, handle.lte) - 1
+            : handle.lt !== null
+            ? lowerIndex(entries, handle.lt) - 1
+            : entries.length - 1;
+
+        for (; i >= 0 && result.length < count; i--) {
+          const entry = entries[i];
+          if (!inRange(handle, entry.key)) break;
+          if (live(entry, now)) result.push(entry);
+        }
+      } else {
+        let i =
+          handle._lastKey !== null
+            ? upperIndex(entries, handle._lastKey)
+            : handle.gte !== null
+            ? lowerIndex(entries, handle.gte)
+            : handle.gt !== null
+            ? upperIndex(entries, handle.gt)
+            : 0;
+
+        for (; i < entries.length && result.length < count; i++) {
+          const entry = entries[i];
+          if (!inRange(handle, entry.key)) break;
+          if (live(entry, now)) result.push(entry);
+        }
+      }
+
+      if (result.length > 0) handle._lastKey = result[result.length - 1].key;
+      handle._count += result.length;
+
+      return Promise.resolve(
+        result.map((entry) => ({
+          key: handle.keyEncoding
+            ? c.decode(handle.keyEncoding, entry.key)
+            : Buffer.from(entry.key),
+          value: handle.valueEncoding
+            ? c.decode(handle.valueEncoding, entry.value)
+            : Buffer.from(entry.value),
+        }))
+      );
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  },
+
+  iteratorRelease(handle) {
+    if (handle.db && handle.db.iterators) {
+      handle.db.iterators.delete(handle);
+    }
+
+    handle.isReleased = true;
+    handle._lastKey = null;
+  },
+};
+
+export default memoryBinding;
@@ -0,0 +1,63 @@
+// Merge operators combine a stored value with the operands queued by
+// WriteBatch.merge(), like RocksDB's MergeOperator:
+//
+//   fullMerge(key, existingValue, operands) -> value
+//     existingValue is null when the key is not set. Operands are in the
+//     order they were written.
+//   partialMerge(key, leftOperand, rightOperand) -> operand or null
+//     Optional. Combines two operands without the stored value, or returns
+//     null when they cannot be combined.
+//
+// Keys, values and operands are Buffers.
+
+function validateMergeOperator(mergeOperator) {
+  if (mergeOperator === null) return null;
+
+  if (typeof mergeOperator !== "object") {
+    throw new Error("Merge operator must be an object");
+  }
+
+  if (typeof mergeOperator.fullMerge !== "function") {
+    throw new Error("Merge operator is missing fullMerge()");
+  }
+
+  if (
+    mergeOperator.partialMerge !== undefined &&
+    typeof mergeOperator.partialMerge !== "function"
+  ) {
+    throw new Error("Merge operator partialMerge must be a function");
+  }
+
+  return mergeOperator;
+}
+
+// Apply operands to the existing value and return the new value
+function applyMerge(mergeOperator, key, existing, operands) {
+  if (mergeOperator.partialMerge !== undefined && operands.length > 1) {
+    operands = collapseOperands(mergeOperator, key, operands);
+  }
+
+  const value = mergeOperator.fullMerge(key, existing, operands);
+
+  if (value === null || value === undefined) {
+    throw new Error("Merge operator returned no value");
+  }
+
+  return Buffer.from(value);
+}
+
+function collapseOperands(mergeOperator, key, operands) {
+  const collapsed = [operands[0]];
+
+  for (let i = 1; i < operands.length; i++) {
+    const left = collapsed[collapsed.length - 1];
+    const operand = mergeOperator.partialMerge(key, left, operands[i]);
+
+    if (operand === null || operand === undefined) collapsed.push(operands[i]);
+    else collapsed[collapsed.length - 1] = Buffer.from(operand);
+  }
+
+  return collapsed;
+}
+
+export { applyMerge, validateMergeOperator };
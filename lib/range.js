@@ -0,0 +1,58 @@
+// Key range helpers shared by the storage backends. Keys are Buffers and
+// compare bytewise, like RocksDB's default comparator.
+import * as c from "compact-encoding";
+
+function encodeBound(keyEncoding, key) {
+  if (key === null || key === undefined) return null;
+  if (keyEncoding) return c.encode(keyEncoding, key);
+  return Buffer.from(key);
+}
+
+function inRange(handle, key) {
+  if (handle.gte !== null && Buffer.compare(key, handle.gte) < 0) return false;
+  if (handle.gt !== null && Buffer.compare(key, handle.gt) <= 0) return false;
+  if (handle.lte !== null && Buffer.compare(key, handle.lte) > 0) return false;
+  if (handle.lt !== null && Buffer.compare(key, handle.lt) >= 0) return false;
+  return true;
+}
+
+// Smallest key that sorts after every key starting with the prefix, or null
+// when the prefix consists only of 0xff bytes and has no upper bound
+function prefixUpperBound(prefix) {
+  let end = prefix.byteLength;
+  while (end > 0 && prefix[end - 1] === 0xff) end--;
+  if (end === 0) return null;
+
+  const upper = Buffer.from(prefix.subarray(0, end));
+  upper[end - 1]++;
+  return upper;
+}
+
+// Narrow the iterator bounds to the keys starting with the prefix, keeping
+// explicit bounds when they are already tighter
+function applyPrefix(handle) {
+  const prefix = handle.prefix;
+
+  const lower = handle.gte !== null ? handle.gte : handle.gt;
+  if (lower === null || Buffer.compare(lower, prefix) < 0) {
+    handle.gte = prefix;
+    handle.gt = null;
+  }
+
+  const upper = prefixUpperBound(prefix);
+  if (upper === null) return;
+
+  const current = handle.lte !== null ? handle.lte : handle.lt;
+  if (current === null || Buffer.compare(current, upper) >= 0) {
+    handle.lt = upper;
+    handle.lte = null;
+  }
+}
+
+// True if key comes strictly after other in the iteration direction
+function isAfter(handle, key, other) {
+  const cmp = Buffer.compare(key, other);
+  return handle.reverse ? cmp < 0 : cmp > 0;
+}
+
+export { applyPrefix, encodeBound, inRange, isAfter, prefixUpperBound };
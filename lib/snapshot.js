@@ -1,22 +1,20 @@
-import binding from "./binding.js";
-
 class RocksDBSnapshot {
   constructor(state) {
     this._state = state;
     this._handle = null;
     this._refs = 0;
 
-    // Initialize the snapshot immediately to capture the current database state
+    // Initialize the snapshot immediately to pin the current database state
     this._init();
   }
 
-  async _init() {
+  _init() {
     // Initialize the snapshot handle
-    this._handle = binding.snapshotInit();
+    this._handle = this._state.backend.snapshotInit();
 
-    // Capture the database state synchronously - this is crucial for consistency
-    // The binding.snapshotGet function must complete before any writes happen
-    await binding.snapshotGet(this._state._handle, this._handle);
+    // Pin the current sequence synchronously, before any later write runs.
+    // This is O(1), writes keep the values the snapshot still needs.
+    this._state.backend.snapshotGet(this._state._handle, this._handle);
   }
 
   read(opts = {}) {
@@ -36,14 +34,14 @@ class RocksDBSnapshot {
     if (--this._refs > 0) return;
     if (this._handle === null) return;
 
-    binding.snapshotRelease(this._state._handle, this._handle);
+    this._state.backend.snapshotRelease(this._state._handle, this._handle);
     this._handle = null;
   }
 
   // Helper to release all resources
   async close() {
     if (this._handle !== null) {
-      binding.snapshotRelease(this._state._handle, this._handle);
+      this._state.backend.snapshotRelease(this._state._handle, this._handle);
       this._handle = null;
     }
   }
@@ -4,13 +4,25 @@ import rrp from "resolve-reject-promise";
 import { ReadBatch, WriteBatch } from "./batch.js";
 import ColumnFamily from "./column-family.js";
 import binding from "./binding.js";
+import memoryBinding from "./memory-binding.js";
+import { validateBackend } from "./backend.js";
+import { validateCompactionFilter } from "./compaction-filter.js";
+import { RocksDBError, toError } from "./errors.js";
 
-// Get access to the database connections map from binding
-const dbConnections = binding._getDbConnections
-  ? binding._getDbConnections()
-  : new Map();
 const MAX_BATCH_REUSE = 64;
 
+// Expired values deleted by one sweep, see sweep()
+const SWEEP_LIMIT = 256;
+
+// Entries compactRange() visits per readwrite transaction by default
+const COMPACTION_CHUNK = 256;
+
+// Write durabilities from weakest to strongest
+const DURABILITY = ["relaxed", "default", "strict"];
+
+// Track open states by path so a database is never destroyed under them
+const openStates = new Map();
+
 class RocksDBState extends ReadyResource {
   constructor(db, path, opts) {
     super();
@@ -25,15 +37,59 @@ class RocksDBState extends ReadyResource {
       bytesPerSync = 1048576,
       maxOpenFiles = -1,
       useDirectReads = false,
+      coalesceReads = false,
+      // Milliseconds between background sweeps of expired values, 0 to only
+      // sweep when sweep() is called
+      sweepInterval = 60000,
+      // Stand-in for navigator.storage, a StorageManager
+      storageManager = null,
+      // Called with the storage estimate once fewer than storageWatermark
+      // bytes of quota are left, a tenth of the quota by default
+      onstoragelow = null,
+      storageWatermark = null,
+      // Milliseconds between the storage estimates taken after writes to
+      // call onstoragelow, 0 to take one after every write
+      storageCheckInterval = 1000,
+      storage = null,
+      indexedDB = null,
+      IDBKeyRange = null,
+      backend = storage === "memory" ? memoryBinding : binding,
     } = opts;
 
+    if (storage !== null && storage !== "indexeddb" && storage !== "memory") {
+      throw new Error(`Unknown storage: ${storage}`);
+    }
+
+    if (onstoragelow !== null && typeof onstoragelow !== "function") {
+      throw new Error("onstoragelow must be a function");
+    }
+
+    if (
+      storageWatermark !== null &&
+      !(typeof storageWatermark === "number" && storageWatermark >= 0)
+    ) {
+      throw new Error("storageWatermark must be a non-negative number");
+    }
+
+    if (
+      !(typeof storageCheckInterval === "number" && storageCheckInterval >= 0)
+    ) {
+      throw new Error("storageCheckInterval must be a non-negative number");
+    }
+
     this.path = path;
     this.db = db;
+    this.backend = validateBackend(backend);
     this.handles = new RefCounter();
     this.io = new RefCounter();
     this.sessions = [];
     this.columnFamilies = [columnFamily];
     this.deferSnapshotInit = true;
+    this.coalesceReads = coalesceReads;
+    this.sweepInterval = sweepInterval;
+    this.onstoragelow = onstoragelow;
+    this.storageWatermark = storageWatermark;
+    this.storageCheckInterval = storageCheckInterval;
     this.resumed = null;
 
     this._suspended = false;
@@ -42,6 +98,31 @@ class RocksDBState extends ReadyResource {
     this._columnsFlushed = false;
     this._readBatches = [];
     this._writeBatches = [];
+    this._writeQueue = [];
+    this._writing = false;
+    this._writesReserved = 0;
+    this._writesDrained = null;
+    this._sweepTimer = null;
+    this._sweeping = null;
+    this._storageManager =
+      storageManager ||
+      (globalThis.navigator && globalThis.navigator.storage) ||
+      null;
+    this._storageChecked = -Infinity;
+    this._checkingStorage = null;
+    // Fall back to memory only when the caller did not pick a storage
+    this._fallback = storage === null && opts.backend === undefined;
+    this._initArgs = [
+      readOnly,
+      createIfMissing,
+      createMissingColumnFamilies,
+      maxBackgroundJobs,
+      bytesPerSync,
+      maxOpenFiles,
+      useDirectReads,
+      { indexedDB, IDBKeyRange },
+    ];
+    this._factory = indexedDB || globalThis.indexedDB || null;
 
     for (const columnFamily of columnFamilies) {
       this.columnFamilies.push(
@@ -51,15 +132,7 @@ class RocksDBState extends ReadyResource {
       );
     }
 
-    this._handle = binding.init(
-      readOnly,
-      createIfMissing,
-      createMissingColumnFamilies,
-      maxBackgroundJobs,
-      bytesPerSync,
-      maxOpenFiles,
-      useDirectReads
-    );
+    this._handle = this.backend.init(...this._initArgs);
   }
 
   createReadBatch(db, opts) {
@@ -82,6 +155,194 @@ class RocksDBState extends ReadyResource {
     queue.push(batch);
   }
 
+  // Group commit. Batches flushed while a write is in progress wait for it
+  // and are then written together, in the order they were flushed.
+  reserveWrite() {
+    this._writesReserved++;
+  }
+
+  cancelWrite() {
+    this._writesReserved--;
+    this._onwritesdrained();
+  }
+
+  queueWrite(batch) {
+    this._writesReserved--;
+    this._writeQueue.push(batch);
+
+    if (this._writing) return;
+    this._writing = true;
+
+    queueMicrotask(() => this._commitWrites());
+  }
+
+  _commitWrites() {
+    const batches = this._writeQueue;
+
+    if (batches.length === 0) {
+      this._writing = false;
+      this._onwritesdrained();
+      this._checkStorage(false);
+      return;
+    }
+
+    this._writeQueue = [];
+
+    if (batches.length === 1) {
+      this._writeBatch(batches[0], () => this._commitWrites());
+      return;
+    }
+
+    // A transaction has to be validated against the batches before it, and
+    // a batch with a transaction size limit must not grow past it
+    if (
+      batches.some(
+        (batch) =>
+          batch._writeOptions().transaction ||
+          batch._maxTransactionBytes !== null
+      )
+    ) {
+      this._writeEach(batches);
+      return;
+    }
+
+    const operations = [];
+    const offsets = [];
+
+    // The merged write is as durable as the most durable batch in it
+    let durability = 0;
+
+    for (const batch of batches) {
+      const options = batch._writeOptions();
+
+      offsets.push(operations.length);
+      for (const op of batch._operations) operations.push(op);
+
+      durability = Math.max(durability, DURABILITY.indexOf(options.durability));
+    }
+
+    offsets.push(operations.length);
+
+    const options = { durability: DURABILITY[durability] };
+
+    this._write(batches[0]._handle, operations, options, (errs, results) => {
+      // One bad batch must not fail the others, so write each on its own
+      if (errs.some((err) => err)) {
+        this._writeEach(batches);
+        return;
+      }
+
+      for (let i = 0; i < batches.length; i++) {
+        batches[i]._onwrite(
+          errs.slice(offsets[i], offsets[i + 1]),
+          results.slice(offsets[i], offsets[i + 1])
+        );
+      }
+
+      this._commitWrites();
+    });
+  }
+
+  _onwritesdrained() {
+    if (this._writing || this._writesReserved > 0) return;
+    if (this._writesDrained === null) return;
+
+    this._writesDrained.resolve();
+    this._writesDrained = null;
+  }
+
+  _writeEach(batches) {
+    let i = 0;
+
+    const next = () => {
+      if (i === batches.length) this._commitWrites();
+      else this._writeBatch(batches[i++], next);
+    };
+
+    next();
+  }
+
+  _writeBatch(batch, callback) {
+    const options = batch._writeOptions();
+    const chunks = batch._chunks();
+
+    if (chunks !== null) {
+      this._writeChunks(batch, chunks, options, callback);
+      return;
+    }
+
+    this._write(batch._handle, batch._operations, options, (errs, results) => {
+      batch._onwrite(errs, results);
+      callback();
+    });
+  }
+
+  // Write a non-atomic batch one chunk per transaction. The chunks after a
+  // failed one are not written.
+  _writeChunks(batch, chunks, options, callback) {
+    const total = batch._operations.length;
+    const errs = [];
+    const results = [];
+
+    let i = 0;
+
+    const next = () => {
+      if (i === chunks.length) {
+        batch._onwrite(errs, results);
+        callback();
+        return;
+      }
+
+      const { start, end } = chunks[i++];
+      const operations = batch._operations.slice(start, end);
+
+      this._write(
+        batch._handle,
+        operations,
+        options,
+        (chunkErrs, chunkResults) => {
+          for (let j = 0; j < operations.length; j++) {
+            errs.push(chunkErrs[j]);
+            results.push(chunkResults ? chunkResults[j] : null);
+          }
+
+          if (chunkErrs.some((err) => err)) {
+            const skipped = RocksDBError.ABORTED(
+              "Not written, an earlier chunk failed"
+            );
+
+            while (errs.length < total) {
+              errs.push(skipped);
+              results.push(null);
+            }
+
+            i = chunks.length;
+          } else {
+            batch._progress(end, total);
+          }
+
+          next();
+        }
+      );
+    };
+
+    next();
+  }
+
+  _write(batchHandle, operations, options, callback) {
+    try {
+      this.backend.write(
+        this._handle,
+        batchHandle,
+        operations,
+        options,
+        callback
+      );
+    } catch (err) {
+      callback(operations.map(() => err));
+    }
+  }
+
   addSession(db) {
     db._index = this.sessions.push(db) - 1;
     if (db._snapshot) db._snapshot.ref();
@@ -115,7 +376,7 @@ class RocksDBState extends ReadyResource {
     if (typeof c !== "string") return c;
 
     const col = this.getColumnFamilyByName(c);
-    if (col === null) throw new Error("Unknown column family");
+    if (col === null) throw RocksDBError.NOT_FOUND("Unknown column family");
     return col;
   }
 
@@ -126,8 +387,22 @@ class RocksDBState extends ReadyResource {
     return null;
   }
 
-  async _open() {
-    await Promise.resolve(); // allow column families to populate if ondemand
+  async dropColumnFamily(name) {
+    if (this.opened === false) await this.ready();
+
+    const columnFamily = this.getColumnFamilyByName(name);
+    if (columnFamily === null)
+      throw RocksDBError.NOT_FOUND("Unknown column family");
+
+    if (columnFamily === this.db._columnFamily) {
+      throw RocksDBError.INVALID_ARGUMENT(
+        "Cannot drop the column family of the root session"
+      );
+    }
+
+    while (!this.io.isIdle()) await this.io.idle();
+
+    this.io.inc();
 
     const req = { resolve: null, reject: null, handle: null };
 
@@ -136,18 +411,134 @@ class RocksDBState extends ReadyResource {
       req.reject = reject;
     });
 
-    this._columnsFlushed = true;
+    try {
+      req.handle = this.backend.dropColumnFamily(
+        this._handle,
+        name,
+        req,
+        ondrop
+      );
 
-    req.handle = binding.open(
-      this._handle,
-      this,
-      this.path,
-      this.columnFamilies.map((c) => c._handle),
+      await promise;
+    } finally {
+      this.io.dec();
+    }
+
+    // Sessions only go once the drop succeeded, a failed one keeps them
+    for (const session of this.sessions.slice()) {
+      if (session._columnFamily === columnFamily) await session.close();
+    }
+
+    const index = this.columnFamilies.indexOf(columnFamily);
+    if (index !== -1) this.columnFamilies.splice(index, 1);
+
+    columnFamily.destroy();
+
+    function ondrop(err) {
+      if (err) req.reject(toError(err));
+      else req.resolve();
+    }
+  }
+
+  static async destroy(
+    path,
+    {
+      force = false,
+      backend = binding,
+      indexedDB = null,
+      IDBKeyRange = null,
+    } = {}
+  ) {
+    // Databases opened without a backend may have fallen back to memory
+    const fallback = backend === binding;
+
+    backend = validateBackend(backend);
+
+    const factory = indexedDB || globalThis.indexedDB || null;
+
+    const states = openStates.has(path)
+      ? [...openStates.get(path)].filter(
+          (state) =>
+            state._factory === factory &&
+            (state.backend === backend ||
+              (fallback && state._fallback && state.backend === memoryBinding))
+        )
+      : [];
+
+    if (states.length > 0 && !force) {
+      throw RocksDBError.BUSY("Cannot destroy a database with open sessions");
+    }
+
+    for (const state of states) await state.db.close({ force: true });
+
+    try {
+      await destroyBackend(backend, path, { indexedDB, IDBKeyRange });
+    } catch (err) {
+      if (!fallback || !isUnavailable(err)) throw err;
+      await destroyBackend(memoryBinding, path, {});
+    }
+  }
+
+  static async listColumnFamilies(
+    path,
+    { backend = binding, indexedDB = null, IDBKeyRange = null } = {}
+  ) {
+    const req = { resolve: null, reject: null, handle: null };
+
+    const promise = new Promise((resolve, reject) => {
+      req.resolve = resolve;
+      req.reject = reject;
+    });
+
+    req.handle = validateBackend(backend).listColumnFamilies(
+      path,
+      { indexedDB, IDBKeyRange },
       req,
-      onopen
+      onlist
     );
 
-    await promise;
+    return promise;
+
+    function onlist(err, names) {
+      if (err) req.reject(toError(err));
+      else req.resolve(names);
+    }
+  }
+
+  async _open() {
+    await Promise.resolve(); // allow column families to populate if ondemand
+
+    this._columnsFlushed = true;
+
+    if (!openStates.has(this.path)) openStates.set(this.path, new Set());
+    openStates.get(this.path).add(this);
+
+    try {
+      await this._openBackend();
+    } catch (err) {
+      if (!this._fallback || !isUnavailable(err)) {
+        this._untrack();
+        throw err;
+      }
+
+      this.emit(
+        "warning",
+        new Error(
+          "IndexedDB is not available, falling back to in-memory storage",
+          { cause: err }
+        )
+      );
+
+      this.backend = memoryBinding;
+      this._handle = memoryBinding.init(...this._initArgs);
+
+      try {
+        await this._openBackend();
+      } catch (err) {
+        this._untrack();
+        throw err;
+      }
+    }
 
     this.deferSnapshotInit = false;
 
@@ -155,13 +546,37 @@ class RocksDBState extends ReadyResource {
       if (session._snapshot) session._snapshot._init();
     }
 
+    this._scheduleSweep(this.sweepInterval);
+  }
+
+  _openBackend() {
+    const req = { resolve: null, reject: null, handle: null };
+
+    const promise = new Promise((resolve, reject) => {
+      req.resolve = resolve;
+      req.reject = reject;
+    });
+
+    req.handle = this.backend.open(
+      this._handle,
+      this,
+      this.path,
+      this.columnFamilies.map((c) => c._handle),
+      req,
+      onopen
+    );
+
+    return promise;
+
     function onopen(err) {
-      if (err) req.reject(new Error(err));
+      if (err) req.reject(toError(err));
       else req.resolve();
     }
   }
 
   async _close() {
+    this._cancelSweep();
+
     if (this.resumed) this.resumed.resolve(false);
 
     while (!this.io.isIdle()) await this.io.idle();
@@ -180,19 +595,238 @@ class RocksDBState extends ReadyResource {
       req.reject = reject;
     });
 
-    req.handle = binding.close(this._handle, req, onclose);
+    req.handle = this.backend.close(this._handle, req, onclose);
 
     await promise;
 
+    this._untrack();
+
     function onclose(err) {
-      if (err) req.reject(new Error(err));
+      if (err) req.reject(toError(err));
       else req.resolve();
     }
   }
 
+  _untrack() {
+    const states = openStates.get(this.path);
+    if (!states) return;
+
+    states.delete(this);
+    if (states.size === 0) openStates.delete(this.path);
+  }
+
+  // Delete values whose TTL expired. Reads already skip them, this only
+  // frees their space. Resolves to the number of expiry records handled,
+  // which includes those of keys written again since.
+  sweep() {
+    if (this._sweeping === null) {
+      this._sweeping = this._sweep().finally(() => {
+        this._sweeping = null;
+      });
+    }
+
+    return this._sweeping;
+  }
+
+  async _sweep() {
+    if (this.opened === false) await this.ready();
+
+    let swept = 0;
+
+    while (!this.closing && !this._suspended && this._suspending === null) {
+      this.io.inc();
+
+      try {
+        const n = await this._sweepExpired();
+        swept += n;
+
+        if (n < SWEEP_LIMIT) break;
+      } finally {
+        this.io.dec();
+      }
+    }
+
+    return swept;
+  }
+
+  _sweepExpired() {
+    const req = { resolve: null, reject: null, handle: null };
+
+    const promise = new Promise((resolve, reject) => {
+      req.resolve = resolve;
+      req.reject = reject;
+    });
+
+    req.handle = this.backend.sweep(
+      this._handle,
+      Date.now(),
+      SWEEP_LIMIT,
+      req,
+      onsweep
+    );
+
+    return promise;
+
+    function onsweep(err, n) {
+      if (err) req.reject(toError(err));
+      else req.resolve(n);
+    }
+  }
+
+  _scheduleSweep(delay) {
+    if (delay <= 0 || this._sweepTimer !== null || this.closing) return;
+    if (this._handle.readOnly) return;
+
+    this._sweepTimer = setTimeout(() => {
+      this._sweepTimer = null;
+
+      this.sweep().then(
+        () => this._scheduleSweep(this.sweepInterval),
+        (err) => {
+          this.emit("warning", new Error("Sweep failed", { cause: err }));
+          this._scheduleSweep(this.sweepInterval);
+        }
+      );
+    }, delay);
+
+    // Never keep the process alive just to sweep
+    if (this._sweepTimer.unref) this._sweepTimer.unref();
+  }
+
+  _cancelSweep() {
+    if (this._sweepTimer === null) return;
+
+    clearTimeout(this._sweepTimer);
+    this._sweepTimer = null;
+  }
+
+  // Run a compaction filter over a key range of a column family, chunk by
+  // chunk, so suspend() and close() only wait for the current chunk. Stops
+  // early when they do, resolving with complete set to false.
+  async compactRange(
+    db,
+    start,
+    end,
+    { filter = db._columnFamily.compactionFilter, chunkSize = COMPACTION_CHUNK }
+  ) {
+    if (this.opened === false) await this.ready();
+
+    validateCompactionFilter(filter);
+
+    if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+      throw new Error("chunkSize must be a positive integer");
+    }
+
+    const result = { removed: 0, changed: 0, complete: false };
+    const range = { start, end, after: null };
+
+    while (!this.closing && !this._suspended && this._suspending === null) {
+      this.io.inc();
+
+      try {
+        const progress = await this._compactChunk(db, range, chunkSize, filter);
+
+        result.removed += progress.removed;
+        result.changed += progress.changed;
+
+        if (progress.last === null) {
+          result.complete = true;
+          break;
+        }
+
+        range.after = progress.last;
+      } finally {
+        this.io.dec();
+      }
+    }
+
+    return result;
+  }
+
+  _compactChunk(db, range, limit, filter) {
+    const req = { resolve: null, reject: null, handle: null };
+
+    const promise = new Promise((resolve, reject) => {
+      req.resolve = resolve;
+      req.reject = reject;
+    });
+
+    req.handle = this.backend.compactRange(
+      this._handle,
+      db._columnFamily._handle,
+      range,
+      limit,
+      filter,
+      req,
+      oncompact
+    );
+
+    return promise;
+
+    function oncompact(err, progress) {
+      if (err) req.reject(toError(err));
+      else req.resolve(progress);
+    }
+  }
+
+  // Usage and quota of the origin in bytes, from navigator.storage.estimate().
+  // Resolves to null where there is no StorageManager.
+  async storageEstimate() {
+    const manager = this._storageManager;
+    if (manager === null || typeof manager.estimate !== "function") return null;
+
+    const { usage = 0, quota = Infinity } = await manager.estimate();
+    return { usage, quota };
+  }
+
+  // A write failed because the quota is used up. The batch still has its
+  // operations, so listeners can encode it to retry later.
+  _onquotaexceeded(batch, err) {
+    this.emit("quota-exceeded", batch, err);
+    this._checkStorage(true);
+  }
+
+  // Let onstoragelow evict caches before writes start failing
+  _checkStorage(force) {
+    if (this.onstoragelow === null || this._checkingStorage !== null) return;
+
+    const now = Date.now();
+    if (!force && now - this._storageChecked < this.storageCheckInterval)
+      return;
+
+    this._storageChecked = now;
+    this._checkingStorage = this._onstoragecheck()
+      .catch((err) => {
+        this.emit("warning", new Error("Storage check failed", { cause: err }));
+      })
+      .finally(() => {
+        this._checkingStorage = null;
+      });
+  }
+
+  async _onstoragecheck() {
+    const estimate = await this.storageEstimate();
+    if (estimate === null) return;
+
+    const watermark =
+      this.storageWatermark === null
+        ? estimate.quota / 10
+        : this.storageWatermark;
+
+    if (estimate.quota - estimate.usage < watermark) {
+      await this.onstoragelow(estimate);
+    }
+  }
+
   async flush(db, opts) {
     if (this.opened === false) await this.ready();
 
+    // Write batches flushed before this call may still be queued
+    if (this._writing || this._writesReserved > 0) {
+      if (this._writesDrained === null) this._writesDrained = rrp();
+      await this._writesDrained.promise;
+    }
+
     this.io.inc();
 
     if (this.resumed !== null) {
@@ -201,7 +835,7 @@ class RocksDBState extends ReadyResource {
       if (!resumed) {
         this.io.dec();
 
-        throw new Error("RocksDB session is closed");
+        throw RocksDBError.CLOSED("RocksDB session is closed");
       }
     }
 
@@ -213,7 +847,7 @@ class RocksDBState extends ReadyResource {
     });
 
     try {
-      req.handle = binding.flush(
+      req.handle = this.backend.flush(
         this._handle,
         db._columnFamily._handle,
         req,
@@ -226,7 +860,7 @@ class RocksDBState extends ReadyResource {
     }
 
     function onflush(err) {
-      if (err) req.reject(new Error(err));
+      if (err) req.reject(toError(err));
       else req.resolve();
     }
   }
@@ -263,7 +897,7 @@ class RocksDBState extends ReadyResource {
     });
 
     try {
-      req.handle = binding.suspend(this._handle, req, onsuspend);
+      req.handle = this.backend.suspend(this._handle, req, onsuspend);
 
       await promise;
 
@@ -275,7 +909,7 @@ class RocksDBState extends ReadyResource {
     }
 
     function onsuspend(err) {
-      if (err) req.reject(new Error(err));
+      if (err) req.reject(toError(err));
       else req.resolve();
     }
   }
@@ -302,7 +936,7 @@ class RocksDBState extends ReadyResource {
     });
 
     try {
-      req.handle = binding.resume(this._handle, req, onresume);
+      req.handle = this.backend.resume(this._handle, req, onresume);
 
       await promise;
 
@@ -319,7 +953,7 @@ class RocksDBState extends ReadyResource {
 
     function onresume(err) {
       if (err) {
-        req.reject(new Error(err));
+        req.reject(toError(err));
       } else {
         req.resolve();
       }
@@ -327,4 +961,26 @@ class RocksDBState extends ReadyResource {
   }
 }
 
+function destroyBackend(backend, path, options) {
+  const req = { resolve: null, reject: null, handle: null };
+
+  const promise = new Promise((resolve, reject) => {
+    req.resolve = resolve;
+    req.reject = reject;
+  });
+
+  req.handle = backend.destroy(path, options, req, ondestroy);
+
+  return promise;
+
+  function ondestroy(err) {
+    if (err) req.reject(toError(err));
+    else req.resolve();
+  }
+}
+
+function isUnavailable(err) {
+  return err.code === "UNAVAILABLE";
+}
+
 export default RocksDBState;
@@ -0,0 +1,184 @@
+import {
+  RocksDBDel,
+  RocksDBDelRange,
+  RocksDBMerge,
+  RocksDBPut,
+  WriteBatch,
+  toMergeTtl,
+  toTtl,
+} from "./batch.js";
+import { RocksDBError, toError } from "./errors.js";
+
+// Optimistic transaction. Writes are staged like in a write batch and are
+// visible to the transaction's own reads. Keys read with get() are checked
+// on commit, which fails with a BUSY error if any of them was written after
+// the transaction began. Like in RocksDB, iterators do not add to the read
+// set. A transaction without writes has nothing to validate and always
+// commits.
+class RocksDBTransaction extends WriteBatch {
+  constructor(db, opts = {}) {
+    super(db, { ...opts, autoDestroy: false, atomic: true });
+
+    this._reads = [];
+    this._transaction = null;
+    this._finished = false;
+  }
+
+  _onfree() {
+    this._closeRaw();
+    this._db = null;
+  }
+
+  _writeOptions() {
+    return {
+      ...super._writeOptions(),
+      transaction: this._transaction,
+      reads: this._reads,
+    };
+  }
+
+  _onwrite(errs) {
+    const err = errs.find((err) => err) || null;
+    const error = err === null ? null : toError(err);
+
+    if (error !== null && error.code === "QUOTA_EXCEEDED") {
+      this._db._state._onquotaexceeded(this, error);
+    }
+
+    this._onfinished(error);
+  }
+
+  // Conflicts are checked against writes after the first read or commit
+  async _begin() {
+    if (this._handle === null) await this.ready();
+    if (this._transaction !== null) return;
+
+    const state = this._db._state;
+    this._transaction = state.backend.transactionInit(state._handle);
+  }
+
+  _stage(op) {
+    if (this._finished) throw RocksDBError.CLOSED("Transaction is finished");
+    if (this._request) throw new Error("Request already in progress");
+
+    this._operations.push(op);
+    this._promises.push(null);
+
+    this._resize();
+  }
+
+  // Reads since the savepoint are no longer checked after rolling back to it
+  _savePoint() {
+    return { ...super._savePoint(), reads: this._reads.length };
+  }
+
+  _rollbackTo(savePoint) {
+    super._rollbackTo(savePoint);
+    this._reads.splice(savePoint.reads);
+  }
+
+  async get(key) {
+    if (this._finished) throw RocksDBError.CLOSED("Transaction is finished");
+    return super.get(key);
+  }
+
+  async _read(key) {
+    await this._begin();
+
+    const columnFamily = this._db._columnFamily;
+    this._reads.push({ columnFamily: columnFamily.name, key });
+
+    return this._rawSession().get(key);
+  }
+
+  tryPut(key, value, opts) {
+    const columnFamily = this._db._columnFamily;
+
+    this._stage(
+      new RocksDBPut(
+        this._encodeKey(key),
+        this._encodeValue(value),
+        columnFamily,
+        toTtl(opts, columnFamily)
+      )
+    );
+  }
+
+  tryDelete(key) {
+    this._stage(new RocksDBDel(this._encodeKey(key), this._db._columnFamily));
+  }
+
+  tryDeleteRange(start, end) {
+    this._stage(
+      new RocksDBDelRange(
+        this._encodeKey(start),
+        this._encodeKey(end),
+        this._db._columnFamily
+      )
+    );
+  }
+
+  tryMerge(key, operand, opts) {
+    const columnFamily = this._db._columnFamily;
+
+    if (columnFamily.mergeOperator === null) {
+      throw new Error("Column family has no merge operator");
+    }
+
+    this._stage(
+      new RocksDBMerge(
+        this._encodeKey(key),
+        this._encodeValue(operand),
+        columnFamily,
+        toMergeTtl(opts, columnFamily)
+      )
+    );
+  }
+
+  // Read the key with get() and write it instead, the commit fails if it
+  // changed in between
+  tryCompareAndSwap() {
+    throw new Error("Conditional writes are not supported in transactions");
+  }
+
+  iterator(range, opts) {
+    if (this._finished) throw RocksDBError.CLOSED("Transaction is finished");
+    return super.iterator(range, opts);
+  }
+
+  async commit() {
+    if (this._finished) throw RocksDBError.CLOSED("Transaction is finished");
+
+    await this._begin();
+
+    try {
+      await this.flush();
+    } finally {
+      await this._finish();
+    }
+  }
+
+  async rollback() {
+    if (this._finished) throw RocksDBError.CLOSED("Transaction is finished");
+
+    this._operations = [];
+    this._promises = [];
+    this._index = null;
+
+    await this._finish();
+  }
+
+  async _finish() {
+    this._finished = true;
+
+    if (this._transaction !== null) {
+      const state = this._db._state;
+      state.backend.transactionRelease(state._handle, this._transaction);
+      this._transaction = null;
+    }
+
+    this.destroy();
+  }
+}
+
+export default RocksDBTransaction;
@@ -0,0 +1,164 @@
+// Index over the operations staged in a write batch, so reads can see the
+// batch's own writes on top of the database. Keys and values are encoded
+// Buffers. Each staged key resolves to either a value, null when it is
+// deleted, or merges and conditional writes that still need the value in
+// the database. Entries are replaced rather than changed, so a read that
+// waits for the database keeps the entry it started with.
+import { applyMerge } from "./merge-operator.js";
+import { inRange, isAfter } from "./range.js";
+
+class WriteIndex {
+  constructor() {
+    // Hex key -> { key, value, pending }
+    this.entries = new Map();
+    // Staged delete ranges, { start, end }
+    this.ranges = [];
+    this._sorted = null;
+  }
+
+  add(op) {
+    if (op.type === "delRange") {
+      const start = Buffer.from(op.start);
+      const end = Buffer.from(op.end);
+
+      for (const [id, entry] of this.entries) {
+        if (inDeleteRange(start, end, entry.key)) {
+          this.entries.set(id, { key: entry.key, value: null, pending: null });
+        }
+      }
+
+      this.ranges.push({ start, end });
+      this._sorted = null;
+      return;
+    }
+
+    const key = Buffer.from(op.key);
+    const id = key.toString("hex");
+    const entry = this.entries.get(id);
+
+    this._sorted = null;
+
+    if (op.type === "put" || op.type === "del") {
+      const value = op.type === "put" ? Buffer.from(op.value) : null;
+      this.entries.set(id, { key, value, pending: null });
+      return;
+    }
+
+    const mergeOperator = op.columnFamily.mergeOperator;
+
+    // The base value is known when the key was written or deleted before
+    if (entry !== undefined && entry.pending === null) {
+      const value = apply(mergeOperator, key, entry.value, [op]);
+      this.entries.set(id, { key, value, pending: null });
+      return;
+    }
+
+    if (entry === undefined && this.deleted(key)) {
+      const value = apply(mergeOperator, key, null, [op]);
+      this.entries.set(id, { key, value, pending: null });
+      return;
+    }
+
+    const pending = entry !== undefined ? [...entry.pending, op] : [op];
+    this.entries.set(id, { key, value: null, pending });
+  }
+
+  // The staged entry of a key, or null if the batch does not touch it
+  get(key) {
+    const entry = this.entries.get(Buffer.from(key).toString("hex"));
+    if (entry !== undefined) return entry;
+
+    if (this.deleted(key)) return { key, value: null, pending: null };
+    return null;
+  }
+
+  // True if a staged delete range covers the key
+  deleted(key) {
+    for (const range of this.ranges) {
+      if (inDeleteRange(range.start, range.end, key)) return true;
+    }
+
+    return false;
+  }
+
+  // Staged entries within the bounds, in iteration order
+  range(bounds) {
+    if (this._sorted === null) {
+      this._sorted = [...this.entries.values()].sort((a, b) =>
+        Buffer.compare(a.key, b.key)
+      );
+    }
+
+    const entries = this._sorted.filter((entry) => inRange(bounds, entry.key));
+    return bounds.reverse ? entries.reverse() : entries;
+  }
+}
+
+// Combine a stored value with a staged entry
+function resolve(entry, mergeOperator, stored) {
+  if (entry.pending === null) return entry.value;
+  return apply(mergeOperator, entry.key, stored, entry.pending);
+}
+
+// Apply merges and conditional writes to a value in order. Consecutive
+// merges are combined into one, like when the batch is written.
+function apply(mergeOperator, key, value, ops) {
+  for (let i = 0; i < ops.length; i++) {
+    const op = ops[i];
+
+    if (op.type === "cas") {
+      const expected = op.expected === null ? null : Buffer.from(op.expected);
+      const matches =
+        expected === null
+          ? value === null
+          : value !== null && value.equals(expected);
+
+      if (matches) value = op.value === null ? null : Buffer.from(op.value);
+      continue;
+    }
+
+    const operands = [Buffer.from(op.value)];
+    while (i + 1 < ops.length && ops[i + 1].type === "merge") {
+      operands.push(Buffer.from(ops[++i].value));
+    }
+
+    value = applyMerge(mergeOperator, key, value, operands);
+  }
+
+  return value;
+}
+
+// Merge database entries, sorted in iteration order, with the staged
+// entries within the same bounds
+async function* overlay(index, bounds, mergeOperator, entries) {
+  const staged = index.range(bounds);
+  let i = 0;
+
+  for await (const entry of entries) {
+    while (i < staged.length && isAfter(bounds, entry.key, staged[i].key)) {
+      const value = resolve(staged[i], mergeOperator, null);
+      if (value !== null) yield { key: staged[i].key, value };
+      i++;
+    }
+
+    if (i < staged.length && staged[i].key.equals(entry.key)) {
+      const value = resolve(staged[i], mergeOperator, entry.value);
+      if (value !== null) yield { key: entry.key, value };
+      i++;
+      continue;
+    }
+
+    if (!index.deleted(entry.key)) yield entry;
+  }
+
+  for (; i < staged.length; i++) {
+    const value = resolve(staged[i], mergeOperator, null);
+    if (value !== null) yield { key: staged[i].key, value };
+  }
+}
+
+function inDeleteRange(start, end, key) {
+  return Buffer.compare(key, start) >= 0 && Buffer.compare(key, end) < 0;
+}
+
+export { WriteIndex, overlay, resolve };
@@ -0,0 +1,673 @@
+// Shared behavior every storage backend has to provide
+import test from "brittle";
+import * as c from "compact-encoding";
+import RocksDB from "../index.js";
+
+export default function conformance(name, backend) {
+  test(`${name}: write + read`, async (t) => {
+    const db = new RocksDB(await t.tmp(), { backend });
+    await db.ready();
+
+    const batch = db.write();
+    batch.put("hello", "world");
+    batch.put("next", "value");
+    await batch.flush();
+    batch.destroy();
+
+    const read = db.read();
+    const p = [read.get("hello"), read.get("next"), read.get("missing")];
+    await read.flush();
+    read.destroy();
+
+    t.alike(await Promise.all(p), [
+      Buffer.from("world"),
+      Buffer.from("value"),
+      null,
+    ]);
+
+    await db.close();
+  });
+
+  test(`${name}: reopen keeps data`, async (t) => {
+    const dir = await t.tmp();
+
+    const w = new RocksDB(dir, { backend });
+    await w.put("hello", "world");
+    await w.close();
+
+    const r = new RocksDB(dir, { backend });
+    t.alike(await r.get("hello"), Buffer.from("world"));
+    await r.close();
+  });
+
+  test(`${name}: delete + delete range`, async (t) => {
+    const db = new RocksDB(await t.tmp(), { backend });
+    await db.ready();
+
+    const batch = db.write();
+    batch.put("aa", "aa");
+    batch.put("ab", "ab");
+    batch.put("b", "b");
+    batch.put("c", "c");
+    await batch.flush();
+
+    batch.deleteRange("a", "b");
+    batch.delete("c");
+    await batch.flush();
+    batch.destroy();
+
+    t.is(await db.get("aa"), null);
+    t.is(await db.get("ab"), null);
+    t.alike(await db.get("b"), Buffer.from("b"));
+    t.is(await db.get("c"), null);
+
+    await db.close();
+  });
+
+  test(`${name}: iterator order, range, reverse and limit`, async (t) => {
+    const db = new RocksDB(await t.tmp(), { backend });
+    await db.ready();
+
+    const keys = [
+      Buffer.from([0x00]),
+      Buffer.from([0x01]),
+      Buffer.from([0x01, 0x00]),
+      Buffer.from([0x7f]),
+      Buffer.from([0x80]),
+      Buffer.from([0xff]),
+    ];
+
+    const batch = db.write();
+    for (const key of keys.slice().reverse()) batch.put(key, key);
+    await batch.flush();
+    batch.destroy();
+
+    t.alike(await collect(db.iterator({}, { highWaterMark: 2 })), keys);
+    t.alike(
+      await collect(
+        db.iterator({ gt: keys[0], lte: keys[4] }, { reverse: true, limit: 3 })
+      ),
+      [keys[4], keys[3], keys[2]]
+    );
+    t.alike(await collect(db.iterator({ prefix: Buffer.from([0x01]) })), [
+      keys[1],
+      keys[2],
+    ]);
+    t.alike(await db.peek({ gt: keys[3] }), { key: keys[4], value: keys[4] });
+
+    await db.close();
+  });
+
+  test(`${name}: iterator with encoding`, async (t) => {
+    const db = new RocksDB(await t.tmp(), { backend });
+    const session = db.session({
+      keyEncoding: c.string,
+      valueEncoding: c.string,
+    });
+
+    await session.put("a", "hello");
+    await session.put("b", "world");
+
+    const entries = [];
+    for await (const entry of session.iterator({ gte: "a" })) {
+      entries.push(entry);
+    }
+
+    t.alike(entries, [
+      { key: "a", value: "hello" },
+      { key: "b", value: "world" },
+    ]);
+
+    await session.close();
+    await db.close();
+  });
+
+  test(`${name}: snapshot`, async (t) => {
+    const db = new RocksDB(await t.tmp(), { backend });
+    await db.ready();
+
+    await db.put("a", "a");
+    await db.put("b", "b");
+
+    const snapshot = db.snapshot();
+
+    await db.put("a", "a2");
+    await db.delete("b");
+    await db.put("c", "c");
+
+    t.alike(await snapshot.get("a"), Buffer.from("a"));
+    t.alike(await snapshot.get("b"), Buffer.from("b"));
+    t.is(await snapshot.get("c"), null);
+    t.alike(await collect(snapshot.iterator({})), [
+      Buffer.from("a"),
+      Buffer.from("b"),
+    ]);
+
+    await snapshot.close();
+    await db.close();
+  });
+
+  test(`${name}: column families`, async (t) => {
+    const dir = await t.tmp();
+
+    const db = new RocksDB(dir, { backend, columnFamilies: ["a"] });
+    const a = db.columnFamily("a");
+
+    await a.put("key", "a");
+    t.is(await db.get("key"), null);
+    t.alike(await a.get("key"), Buffer.from("a"));
+
+    t.alike(await RocksDB.listColumnFamilies(dir, { backend }), [
+      "a",
+      "default",
+    ]);
+
+    await db.dropColumnFamily("a");
+
+    t.alike(await RocksDB.listColumnFamilies(dir, { backend }), ["default"]);
+
+    await db.close();
+  });
+
+  test(`${name}: merge`, async (t) => {
+    const db = new RocksDB(await t.tmp(), {
+      backend,
+      columnFamily: new RocksDB.ColumnFamily("default", {
+        mergeOperator: counter(),
+      }),
+    });
+    await db.ready();
+
+    const batch = db.write();
+    batch.merge("count", uint(2));
+    batch.merge("count", uint(3));
+    await batch.flush();
+
+    batch.put("other", uint(1));
+    batch.merge("other", uint(1));
+    await batch.flush();
+    batch.destroy();
+
+    t.alike(await db.get("count"), uint(5));
+    t.alike(await db.get("other"), uint(2));
+
+    const failing = db.write();
+    const put = failing.put("count", uint(0));
+    const deleted = failing.deleteRange("o", "p");
+    const merge = failing.merge("count", Buffer.alloc(0));
+    await t.exception(failing.flush(), /not applied/);
+    await t.exception(put);
+    await t.exception(deleted);
+    await t.exception(merge, /Invalid operand/);
+    failing.destroy();
+
+    t.alike(await db.get("count"), uint(5), "failed batch is not applied");
+    t.alike(await db.get("other"), uint(2));
+
+    await db.close();
+  });
+
+  test(`${name}: conditional writes`, async (t) => {
+    const db = new RocksDB(await t.tmp(), { backend });
+    await db.ready();
+
+    const batch = db.write();
+    const p = [
+      batch.putIfAbsent("leader", "a"),
+      batch.putIfAbsent("leader", "b"),
+      batch.compareAndSwap("leader", "b", "c"),
+      batch.compareAndSwap("leader", "a", "d"),
+      batch.deleteIf("missing", "a"),
+    ];
+    await batch.flush();
+
+    t.alike(await Promise.all(p), [true, false, false, true, false]);
+    t.alike(await db.get("leader"), Buffer.from("d"));
+
+    const del = [batch.deleteIf("leader", "a"), batch.deleteIf("leader", "d")];
+    await batch.flush();
+    batch.destroy();
+
+    t.alike(await Promise.all(del), [false, true]);
+    t.is(await db.get("leader"), null);
+
+    await db.close();
+  });
+
+  test(`${name}: write batch reads its own writes`, async (t) => {
+    const db = new RocksDB(await t.tmp(), { backend });
+    await db.put("a", "1");
+    await db.put("b", "2");
+    await db.put("c", "3");
+
+    const batch = db.write();
+    batch.put("a", "staged");
+    batch.delete("b");
+    batch.putIfAbsent("d", "4");
+
+    t.alike(await batch.get("a"), Buffer.from("staged"));
+    t.is(await batch.get("b"), null);
+    t.alike(await batch.get("c"), Buffer.from("3"));
+    t.alike(await batch.get("d"), Buffer.from("4"));
+
+    const entries = [];
+    for await (const { key, value } of batch.iterator({ gte: "a" })) {
+      entries.push([key.toString(), value.toString()]);
+    }
+
+    t.alike(entries, [
+      ["a", "staged"],
+      ["c", "3"],
+      ["d", "4"],
+    ]);
+
+    t.is(await db.get("d"), null, "not written yet");
+
+    await batch.flush();
+    batch.destroy();
+
+    t.alike(await db.get("d"), Buffer.from("4"));
+
+    await db.close();
+  });
+
+  test(`${name}: ttl`, async (t) => {
+    const now = Date.now;
+    let time = now();
+    Date.now = () => time;
+    t.teardown(() => {
+      Date.now = now;
+    });
+
+    const dir = await t.tmp();
+    const columnFamilies = () => [
+      new RocksDB.ColumnFamily("cache", { defaultTtl: 1000 }),
+    ];
+
+    const db = new RocksDB(dir, {
+      backend,
+      sweepInterval: 0,
+      columnFamilies: columnFamilies(),
+    });
+    const cache = db.columnFamily("cache");
+    await db.ready();
+
+    await db.put("session", "a", { ttl: 100 });
+    await db.put("kept", "b");
+    await cache.put("page", "c");
+    await cache.put("pinned", "d", { ttl: null });
+
+    // Expired keys between live ones, across iterator chunks
+    const batch = db.write();
+    for (let i = 0; i < 40; i++) {
+      batch.put(`x${i}`, `${i}`, i % 10 === 0 ? {} : { ttl: 100 });
+    }
+    await batch.flush();
+    batch.destroy();
+
+    t.alike(await db.get("session"), Buffer.from("a"));
+
+    time += 100;
+
+    t.is(await db.get("session"), null);
+    t.alike(await db.get("kept"), Buffer.from("b"));
+    t.alike(await cache.get("page"), Buffer.from("c"));
+    t.alike(await collect(db.iterator({ gte: "x", highWaterMark: 4 })), [
+      Buffer.from("x0"),
+      Buffer.from("x10"),
+      Buffer.from("x20"),
+      Buffer.from("x30"),
+    ]);
+    t.is(await db.peek({ gte: "s", lt: "t" }), null);
+
+    // Writing again replaces the expiry
+    await db.put("x1", "again");
+
+    time += 1000;
+
+    t.is(await cache.get("page"), null);
+    t.alike(await cache.get("pinned"), Buffer.from("d"));
+
+    const claim = db.write();
+    const claimed = claim.putIfAbsent("session", "e", { ttl: 10 });
+    await claim.flush();
+    claim.destroy();
+
+    t.is(await claimed, true, "expired keys are absent");
+
+    const invalid = db.write();
+    t.exception(() => invalid.put("a", "b", { ttl: 0 }), /positive/);
+    invalid.destroy();
+
+    t.exception(
+      () => new RocksDB.ColumnFamily("bad", { defaultTtl: -1 }),
+      /positive/
+    );
+
+    await cache.close();
+    await db.close();
+
+    const swept = new RocksDB(dir, {
+      backend,
+      sweepInterval: 10,
+      columnFamilies: columnFamilies(),
+    });
+    await swept.ready();
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    // Swept values are deleted for good, so turning the clock back before
+    // they expired does not bring them back
+    time -= 1100;
+
+    t.alike(await collect(swept.iterator({ gte: "x", lt: "y" })), [
+      Buffer.from("x0"),
+      Buffer.from("x1"),
+      Buffer.from("x10"),
+      Buffer.from("x20"),
+      Buffer.from("x30"),
+    ]);
+    t.alike(await swept.get("x1"), Buffer.from("again"));
+    t.alike(await swept.get("session"), Buffer.from("e"));
+    t.is(await swept.columnFamily("cache").get("page"), null);
+
+    await swept.close();
+  });
+
+  test(`${name}: merge ttl`, async (t) => {
+    const now = Date.now;
+    let time = now();
+    Date.now = () => time;
+    t.teardown(() => {
+      Date.now = now;
+    });
+
+    const db = new RocksDB(await t.tmp(), {
+      backend,
+      sweepInterval: 0,
+      columnFamily: new RocksDB.ColumnFamily("default", {
+        mergeOperator: counter(),
+      }),
+      columnFamilies: [
+        new RocksDB.ColumnFamily("counts", {
+          mergeOperator: counter(),
+          defaultTtl: 1000,
+        }),
+      ],
+    });
+    const counts = db.columnFamily("counts");
+    await db.ready();
+
+    const batch = db.write();
+    batch.put("session", uint(1), { ttl: 100 });
+    batch.put("encoded", uint(1), { ttl: 100 });
+    batch.merge("permanent", uint(1));
+    await batch.flush();
+
+    batch.merge("session", uint(1));
+    batch.merge("permanent", uint(1), { ttl: 100 });
+    batch.merge("pinned", uint(1), { ttl: 100 });
+    batch.merge("pinned", uint(1), { ttl: null });
+    await batch.flush();
+    batch.destroy();
+
+    // Encoded merges keep the difference between no ttl and { ttl: null }
+    const source = db.write();
+    source.merge("encoded", uint(1));
+    const decoded = db.write();
+    decoded.decode(source.encode());
+    await source.flush();
+    await decoded.flush();
+    source.destroy();
+    decoded.destroy();
+
+    const hits = counts.write();
+    hits.merge("hits", uint(1));
+    await hits.flush();
+    hits.merge("hits", uint(1));
+    await hits.flush();
+    hits.destroy();
+
+    t.alike(await db.get("session"), uint(2));
+    t.alike(await db.get("encoded"), uint(3));
+
+    time += 100;
+
+    t.is(await db.get("session"), null, "merges keep the stored expiry");
+    t.is(await db.get("encoded"), null);
+    t.is(await db.get("permanent"), null, "merges can set a ttl");
+    t.alike(await db.get("pinned"), uint(2), "the last ttl given applies");
+    t.alike(await counts.get("hits"), uint(2));
+
+    time += 900;
+
+    t.is(await counts.get("hits"), null, "new keys take the defaultTtl");
+
+    await counts.close();
+    await db.close();
+  });
+
+  test(`${name}: compact range`, async (t) => {
+    const db = new RocksDB(await t.tmp(), {
+      backend,
+      columnFamilies: [
+        new RocksDB.ColumnFamily("counts", {
+          compactionFilter: (key, value) =>
+            value.readUInt8(0) === 0 ? "remove" : "keep",
+        }),
+      ],
+    });
+    const counts = db.columnFamily("counts");
+    await db.ready();
+
+    const batch = db.write();
+    for (let i = 0; i < 10; i++) batch.put(`k${i}`, `${i}`);
+    await batch.flush();
+    batch.destroy();
+
+    const snapshot = db.snapshot();
+
+    const result = await db.compactRange("k2", "k8", {
+      chunkSize: 4,
+      filter(key, value) {
+        const n = Number(value.toString());
+        if (n % 3 === 0) return "remove";
+        if (n % 3 === 1) return { value: `${n * 10}` };
+        return "keep";
+      },
+    });
+
+    t.alike(result, { removed: 2, changed: 2, complete: true });
+    t.alike(await collect(db.iterator({ gte: "k", lt: "l" })), [
+      Buffer.from("k0"),
+      Buffer.from("k1"),
+      Buffer.from("k2"),
+      Buffer.from("k4"),
+      Buffer.from("k5"),
+      Buffer.from("k7"),
+      Buffer.from("k8"),
+      Buffer.from("k9"),
+    ]);
+    t.alike(await db.get("k4"), Buffer.from("40"));
+    t.alike(await db.get("k5"), Buffer.from("5"));
+    t.alike(await db.get("k1"), Buffer.from("1"), "outside the range");
+    t.alike(await snapshot.get("k3"), Buffer.from("3"), "snapshot unchanged");
+    t.alike(await snapshot.get("k4"), Buffer.from("4"), "snapshot unchanged");
+
+    await snapshot.close();
+
+    // The column family filter applies when none is given
+    await counts.put("zero", Buffer.from([0]));
+    await counts.put("one", Buffer.from([1]));
+
+    t.alike(await counts.compactRange(), {
+      removed: 1,
+      changed: 0,
+      complete: true,
+    });
+    t.is(await counts.get("zero"), null);
+    t.alike(await counts.get("one"), Buffer.from([1]));
+
+    // A failing filter leaves its chunk alone
+    await t.exception(
+      db.compactRange(null, null, {
+        filter: () => {
+          throw new Error("Bad filter");
+        },
+      }),
+      /Bad filter/
+    );
+    await t.exception(
+      db.compactRange(null, null, { filter: () => "drop" }),
+      /must return/
+    );
+    t.alike(await db.get("k0"), Buffer.from("0"));
+
+    await counts.close();
+    await db.close();
+  });
+
+  test(`${name}: transaction conflict`, async (t) => {
+    const db = new RocksDB(await t.tmp(), { backend });
+    await db.put("a", "1");
+
+    const tx = db.transaction();
+    t.alike(await tx.get("a"), Buffer.from("1"));
+    tx.put("a", "2");
+
+    await db.put("a", "other");
+
+    await t.exception(tx.commit(), /Busy/);
+    t.alike(await db.get("a"), Buffer.from("other"));
+
+    const retry = db.transaction();
+    t.alike(await retry.get("a"), Buffer.from("other"));
+    retry.put("a", "2");
+    await retry.commit();
+
+    t.alike(await db.get("a"), Buffer.from("2"));
+
+    await db.close();
+  });
+
+  test(`${name}: error codes`, async (t) => {
+    const db = new RocksDB(await t.tmp(), { backend });
+    await db.ready();
+
+    const batch = db.write();
+    batch.setSavePoint();
+    const put = batch.put("a", "b");
+    batch.rollbackToSavePoint();
+    batch.destroy();
+
+    try {
+      await put;
+      t.fail("should fail");
+    } catch (err) {
+      t.ok(err instanceof RocksDB.RocksDBError);
+      t.is(err.code, "ABORTED");
+    }
+
+    const tx = db.transaction();
+    await tx.get("a");
+    tx.put("a", "1");
+    await db.put("a", "2");
+
+    try {
+      await tx.commit();
+      t.fail("should conflict");
+    } catch (err) {
+      t.ok(err instanceof RocksDB.RocksDBError);
+      t.is(err.code, "BUSY");
+    }
+
+    await db.close();
+
+    try {
+      await db.get("a");
+      t.fail("should fail");
+    } catch (err) {
+      t.is(err.code, "CLOSED");
+    }
+
+    try {
+      await batch.flush();
+      t.fail("should fail");
+    } catch (err) {
+      t.is(err.code, "CLOSED", "batch is destroyed");
+    }
+
+    const missing = new RocksDB(db.path, {
+      backend,
+      columnFamilies: ["missing"],
+      createMissingColumnFamilies: false,
+    });
+
+    try {
+      await missing.ready();
+      t.fail("should fail");
+    } catch (err) {
+      t.is(err.code, "NOT_FOUND");
+    }
+  });
+
+  test(`${name}: suspend + resume`, async (t) => {
+    const db = new RocksDB(await t.tmp(), { backend });
+    await db.ready();
+    await db.suspend();
+
+    const batch = db.write({ autoDestroy: true });
+    batch.put("hello", "world");
+    const flushed = batch.flush();
+
+    await db.resume();
+    await flushed;
+
+    t.alike(await db.get("hello"), Buffer.from("world"));
+
+    await db.close();
+  });
+
+  test(`${name}: destroy`, async (t) => {
+    const dir = await t.tmp();
+
+    const db = new RocksDB(dir, { backend });
+    await db.put("hello", "world");
+
+    await t.exception(RocksDB.destroy(dir, { backend }), /open sessions/);
+    await RocksDB.destroy(dir, { backend, force: true });
+
+    const reopened = new RocksDB(dir, { backend });
+    t.is(await reopened.get("hello"), null);
+    await reopened.close();
+  });
+}
+
+// Adds up 32-bit operands, rejecting empty ones
+function counter() {
+  return {
+    fullMerge(key, existing, operands) {
+      let sum = existing === null ? 0 : existing.readUInt32BE(0);
+
+      for (const operand of operands) {
+        if (operand.byteLength !== 4) throw new Error("Invalid operand");
+        sum += operand.readUInt32BE(0);
+      }
+
+      return uint(sum);
+    },
+  };
+}
+
+function uint(n) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32BE(n);
+  return buf;
+}
+
+async function collect(iterator) {
+  const keys = [];
+  for await (const entry of iterator) keys.push(entry.key);
+  return keys;
+}
+
+export { counter, uint };
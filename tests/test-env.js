@@ -1,11 +1,8 @@
 // Set up fake-indexeddb for testing
-import { indexedDB, IDBKeyRange } from "fake-indexeddb";
-import binding from "../lib/binding.js";
+import { IDBFactory, indexedDB, IDBKeyRange } from "fake-indexeddb";
 
-// Configure the binding to use fake-indexeddb
-binding._setIndexedDB(indexedDB);
-
-// Make IDBKeyRange available globally
+// Databases created without an explicit factory use the globals
+globalThis.indexedDB = indexedDB;
 globalThis.IDBKeyRange = IDBKeyRange;
 
 // Helper for directly writing test data
@@ -38,5 +35,33 @@ export async function writeTestData(dbHandle, storeName, data) {
   });
 }
 
+// Options for a database on its own IndexedDB factory, which records every
+// transaction the database starts
+export function recordTransactions() {
+  const factory = new IDBFactory();
+  const transactions = [];
+
+  const open = factory.open.bind(factory);
+
+  factory.open = (...args) => {
+    const request = open(...args);
+
+    request.addEventListener("success", () => {
+      const db = request.result;
+      const transaction = db.transaction.bind(db);
+
+      db.transaction = (...args) => {
+        const tx = transaction(...args);
+        transactions.push(tx);
+        return tx;
+      };
+    });
+
+    return request;
+  };
+
+  return { indexedDB: factory, IDBKeyRange, transactions };
+}
+
 // Export for use in tests
 export { indexedDB, IDBKeyRange };
@@ -1,8 +1,15 @@
 // Import test environment first to set up fake-indexeddb
-import "./test-env.js";
+import { indexedDB, recordTransactions } from "./test-env.js";
 import test from "brittle";
 import * as c from "compact-encoding";
+import { IDBFactory, IDBKeyRange } from "fake-indexeddb";
 import RocksDB from "../index.js";
+import binding from "../lib/binding.js";
+import memoryBinding from "../lib/memory-binding.js";
+import conformance, { counter, uint } from "./conformance.js";
+
+conformance("indexeddb", binding);
+conformance("memory", memoryBinding);
 
 test("open + close", async (t) => {
   const db = new RocksDB(await t.tmp());
@@ -323,6 +330,144 @@ test("prefix iterator, reverse with limit", async (t) => {
   await db.close();
 });
 
+test("prefix option", async (t) => {
+  const db = new RocksDB(await t.tmp());
+  await db.ready();
+
+  const batch = db.write();
+  batch.put("a", "a");
+  batch.put("aa", "aa");
+  batch.put("ab", "ab");
+  batch.put("ac", "ac");
+  batch.put("b", "b");
+  batch.put("ba", "ba");
+  await batch.flush();
+  batch.destroy();
+
+  t.alike(await keys(db.iterator({ prefix: "a" })), ["a", "aa", "ab", "ac"]);
+  t.alike(await keys(db.iterator({ prefix: "a" }, { reverse: true })), [
+    "ac",
+    "ab",
+    "aa",
+    "a",
+  ]);
+  t.alike(
+    await keys(db.iterator({ prefix: "a" }, { reverse: true, limit: 2 })),
+    ["ac", "ab"]
+  );
+  t.alike(await keys(db.iterator({ prefix: "a", gt: "aa", lt: "ac" })), ["ab"]);
+  t.alike(await keys(db.iterator({ prefix: "a", gte: "", lte: "z" })), [
+    "a",
+    "aa",
+    "ab",
+    "ac",
+  ]);
+  t.alike(await keys(db.iterator({ prefix: "c" })), []);
+
+  await db.close();
+
+  async function keys(it) {
+    const result = [];
+    for await (const entry of it) result.push(entry.key.toString());
+    return result;
+  }
+});
+
+test("prefix option, 0xff bytes", async (t) => {
+  const db = new RocksDB(await t.tmp());
+  await db.ready();
+
+  const batch = db.write();
+  batch.put(Buffer.from([0x01, 0xfe]), "a");
+  batch.put(Buffer.from([0x01, 0xff]), "b");
+  batch.put(Buffer.from([0x01, 0xff, 0x00]), "c");
+  batch.put(Buffer.from([0x02]), "d");
+  batch.put(Buffer.from([0xff, 0xff]), "e");
+  await batch.flush();
+  batch.destroy();
+
+  const values = [];
+  for await (const entry of db.iterator({
+    prefix: Buffer.from([0x01, 0xff]),
+  })) {
+    values.push(entry.value.toString());
+  }
+  t.alike(values, ["b", "c"]);
+
+  const last = [];
+  for await (const entry of db.iterator({ prefix: Buffer.from([0xff]) })) {
+    last.push(entry.value.toString());
+  }
+  t.alike(last, ["e"]);
+
+  await db.close();
+});
+
+test("iterator reads in chunks", async (t) => {
+  const db = new RocksDB(await t.tmp());
+  await db.ready();
+
+  const batch = db.write();
+  for (let i = 0; i < 20; i++)
+    batch.put(`key-${String(i).padStart(2, "0")}`, `${i}`);
+  await batch.flush();
+  batch.destroy();
+
+  const expected = [];
+  for (let i = 0; i < 20; i++)
+    expected.push(`key-${String(i).padStart(2, "0")}`);
+  expected.sort();
+
+  {
+    const keys = [];
+    for await (const entry of db.iterator({}, { highWaterMark: 3 })) {
+      keys.push(entry.key.toString());
+    }
+    t.alike(keys, expected);
+  }
+  {
+    const keys = [];
+    for await (const entry of db.iterator(
+      {},
+      { highWaterMark: 3, reverse: true }
+    )) {
+      keys.push(entry.key.toString());
+    }
+    t.alike(keys, expected.slice().reverse());
+  }
+  {
+    const keys = [];
+    for await (const entry of db.iterator(
+      { gt: expected[2] },
+      { highWaterMark: 4, limit: 7 }
+    )) {
+      keys.push(entry.key.toString());
+    }
+    t.alike(keys, expected.slice(3, 10));
+  }
+
+  await db.close();
+});
+
+test("iterator sees writes made between chunks", async (t) => {
+  const db = new RocksDB(await t.tmp());
+  await db.ready();
+
+  await db.put("a", "a");
+  await db.put("b", "b");
+
+  const keys = [];
+
+  for await (const entry of db.iterator({}, { highWaterMark: 1 })) {
+    keys.push(entry.key.toString());
+    if (keys.length === 1) await db.put("c", "c");
+  }
+
+  t.alike(keys, ["a", "b", "c"]);
+
+  await db.close();
+});
+
 test("iterator with encoding", async (t) => {
   const db = new RocksDB(await t.tmp());
   await db.ready();
@@ -415,6 +560,139 @@ test("iterator with snapshot before db open", async (t) => {
   await db.close();
 });
 
+test("snapshot sees deletes, new keys and delete ranges", async (t) => {
+  const db = new RocksDB(await t.tmp());
+  await db.ready();
+
+  const batch = db.write();
+  batch.put("a", "a");
+  batch.put("b", "b");
+  batch.put("c", "c");
+  batch.put("d", "d");
+  await batch.flush();
+  batch.destroy();
+
+  const snapshot = db.snapshot();
+
+  await db.delete("a");
+  await db.put("bb", "bb");
+  await db.deleteRange("c", "e");
+  await db.put("c", "c2");
+
+  t.alike(await snapshot.get("a"), Buffer.from("a"));
+  t.alike(await snapshot.get("bb"), null);
+  t.alike(await snapshot.get("c"), Buffer.from("c"));
+  t.alike(await snapshot.get("d"), Buffer.from("d"));
+
+  const entries = [];
+  for await (const entry of snapshot.iterator({}, { highWaterMark: 1 })) {
+    entries.push(`${entry.key}=${entry.value}`);
+  }
+  t.alike(entries, ["a=a", "b=b", "c=c", "d=d"]);
+
+  const reverse = [];
+  for await (const entry of snapshot.iterator(
+    { gt: "a", lte: "d" },
+    { reverse: true, highWaterMark: 2 }
+  )) {
+    reverse.push(`${entry.key}=${entry.value}`);
+  }
+  t.alike(reverse, ["d=d", "c=c", "b=b"]);
+
+  const live = [];
+  for await (const entry of db.iterator({})) {
+    live.push(`${entry.key}=${entry.value}`);
+  }
+  t.alike(live, ["b=b", "bb=bb", "c=c2"]);
+
+  await snapshot.close();
+  await db.close();
+});
+
+test("snapshot iterator reads the undo log in chunks", async (t) => {
+  const db = new RocksDB(await t.tmp());
+  await db.ready();
+
+  const key = (i) => `k${String(i).padStart(3, "0")}`;
+
+  const batch = db.write();
+  for (let i = 0; i < 100; i += 2) batch.put(key(i), "old");
+  await batch.flush();
+
+  const snapshot = db.snapshot();
+
+  // Deleted keys only exist in the undo log, new ones only in the database
+  batch.deleteRange(key(0), key(100));
+  for (let i = 1; i < 100; i += 2) batch.put(key(i), "new");
+  await batch.flush();
+  batch.destroy();
+
+  const expected = [];
+  for (let i = 20; i < 80; i += 2) expected.push(key(i));
+
+  const forward = [];
+  for await (const entry of snapshot.iterator(
+    { gte: key(20), lt: key(80) },
+    { highWaterMark: 4 }
+  )) {
+    forward.push(entry.key.toString());
+  }
+  t.alike(forward, expected);
+
+  const reverse = [];
+  for await (const entry of snapshot.iterator(
+    { gt: key(19), lte: key(79) },
+    { reverse: true, highWaterMark: 3 }
+  )) {
+    reverse.push(entry.key.toString());
+  }
+  t.alike(reverse, expected.reverse());
+
+  await snapshot.close();
+  await db.close();
+});
+
+test("multiple snapshots", async (t) => {
+  const db = new RocksDB(await t.tmp());
+  await db.ready();
+
+  await db.put("key", "1");
+  const a = db.snapshot();
+
+  await db.put("key", "2");
+  await db.put("key", "3");
+  const b = db.snapshot();
+
+  await db.delete("key");
+  const c = db.snapshot();
+
+  await db.put("key", "4");
+
+  t.alike(await a.get("key"), Buffer.from("1"));
+  t.alike(await b.get("key"), Buffer.from("3"));
+  t.alike(await c.get("key"), null);
+  t.alike(await db.get("key"), Buffer.from("4"));
+
+  await b.close();
+
+  t.alike(await a.get("key"), Buffer.from("1"));
+  t.alike(await c.get("key"), null);
+
+  await a.close();
+  await c.close();
+
+  // A snapshot taken after the others are released keeps its own view
+  const d = db.snapshot();
+  await db.put("key", "5");
+
+  t.alike(await d.get("key"), Buffer.from("4"));
+  t.alike(await db.get("key"), Buffer.from("5"));
+
+  await d.close();
+
+  await db.close();
+});
+
 test("destroy iterator immediately", async (t) => {
   const db = new RocksDB(await t.tmp());
   await db.ready();
@@ -475,6 +753,166 @@ test("peek, reverse", async (t) => {
   await db.close();
 });
 
+test("binary keys round-trip", async (t) => {
+  const db = new RocksDB(await t.tmp());
+  await db.ready();
+
+  // Both keys decode to the same lossy UTF-8 string
+  const a = Buffer.from([0xfe]);
+  const b = Buffer.from([0xff]);
+
+  await db.put(a, "a");
+  await db.put(b, "b");
+
+  t.alike(await db.get(a), Buffer.from("a"));
+  t.alike(await db.get(b), Buffer.from("b"));
+
+  await db.close();
+});
+
+test("binary keys iterate in bytewise order", async (t) => {
+  const db = new RocksDB(await t.tmp());
+  await db.ready();
+
+  const keys = [
+    Buffer.from([0x00]),
+    Buffer.from([0x00, 0x00]),
+    Buffer.from([0x01]),
+    Buffer.from([0x7f, 0xff]),
+    Buffer.from([0x80]),
+    Buffer.from([0xc3, 0xa9]),
+    Buffer.from([0xff]),
+    Buffer.from([0xff, 0x00]),
+  ];
+
+  const batch = db.write();
+  for (const key of keys.slice().reverse()) batch.put(key, key);
+  await batch.flush();
+  batch.destroy();
+
+  const entries = [];
+
+  for await (const entry of db.iterator({ gte: Buffer.from([0x00]) })) {
+    entries.push(entry.key);
+  }
+
+  t.alike(entries, keys);
+
+  const reverse = [];
+
+  for await (const entry of db.iterator(
+    { gt: Buffer.from([0x01]), lt: Buffer.from([0xff]) },
+    { reverse: true }
+  )) {
+    reverse.push(entry.key);
+  }
+
+  t.alike(reverse, [keys[5], keys[4], keys[3]]);
+
+  t.alike(await db.peek({ gt: Buffer.from([0x80]) }), {
+    key: keys[5],
+    value: keys[5],
+  });
+
+  await db.close();
+});
+
+test("binary keys delete range", async (t) => {
+  const db = new RocksDB(await t.tmp());
+  await db.ready();
+
+  const batch = db.write();
+  batch.put(Buffer.from([0x7f]), "a");
+  batch.put(Buffer.from([0x80]), "b");
+  batch.put(Buffer.from([0x80, 0xff]), "c");
+  batch.put(Buffer.from([0x81]), "d");
+  await batch.flush();
+  batch.destroy();
+
+  await db.deleteRange(Buffer.from([0x80]), Buffer.from([0x81]));
+
+  t.alike(await db.get(Buffer.from([0x7f])), Buffer.from("a"));
+  t.alike(await db.get(Buffer.from([0x80])), null);
+  t.alike(await db.get(Buffer.from([0x80, 0xff])), null);
+  t.alike(await db.get(Buffer.from([0x81])), Buffer.from("d"));
+
+  await db.close();
+});
+
+test("binary keys with snapshot", async (t) => {
+  const db = new RocksDB(await t.tmp());
+  await db.ready();
+
+  await db.put(Buffer.from([0xfe]), "a");
+  await db.put(Buffer.from([0xff]), "b");
+
+  const snapshot = db.snapshot();
+
+  await db.put(Buffer.from([0xfe]), "c");
+
+  t.alike(await snapshot.get(Buffer.from([0xfe])), Buffer.from("a"));
+  t.alike(await snapshot.get(Buffer.from([0xff])), Buffer.from("b"));
+
+  const entries = [];
+
+  for await (const entry of snapshot.iterator({ gt: Buffer.from([0xfe]) })) {
+    entries.push(entry);
+  }
+
+  t.alike(entries, [{ key: Buffer.from([0xff]), value: Buffer.from("b") }]);
+
+  await snapshot.close();
+  await db.close();
+});
+
+test("string keys of older versions are migrated", async (t) => {
+  const dir = await t.tmp();
+
+  // The layout older versions wrote, with keys stored as strings
+  await new Promise((resolve, reject) => {
+    const request = indexedDB.open(dir, 1);
+
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore("default");
+      store.put(Buffer.from("world"), "hello");
+      store.put(Buffer.from("value"), "next");
+    };
+
+    request.onsuccess = () => {
+      request.result.close();
+      resolve();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  {
+    const db = new RocksDB(dir, { readOnly: true });
+
+    try {
+      await db.ready();
+      t.fail("should fail");
+    } catch (err) {
+      t.is(err.code, "CORRUPTION");
+    }
+
+    await db.close();
+  }
+
+  const db = new RocksDB(dir);
+
+  t.alike(await db.get("hello"), Buffer.from("world"));
+
+  const entries = [];
+  for await (const entry of db.iterator()) entries.push(entry);
+
+  t.alike(entries, [
+    { key: Buffer.from("hello"), value: Buffer.from("world") },
+    { key: Buffer.from("next"), value: Buffer.from("value") },
+  ]);
+
+  await db.close();
+});
+
 test("delete", async (t) => {
   const db = new RocksDB(await t.tmp());
   await db.ready();
@@ -676,52 +1114,362 @@ test("column families setup implicitly", async (t) => {
   await db.close();
 });
 
-test("read-only", async (t) => {
+test("column families added on reopen", async (t) => {
   const dir = await t.tmp();
 
-  const w = new RocksDB(dir);
-  await w.ready();
-
   {
-    const batch = w.write();
-    const p = batch.put("hello", "world");
-    await batch.flush();
-    batch.destroy();
-    await t.execution(p);
+    const db = new RocksDB(dir, { columnFamilies: ["a"] });
+    await db.columnFamily("a").put("key", "a");
+    await db.close();
   }
+  {
+    const db = new RocksDB(dir, { columnFamilies: ["a", "b"] });
+    await db.ready();
 
-  const r = new RocksDB(dir, { readOnly: true });
-  await r.ready();
+    const a = db.columnFamily("a");
+    const b = db.columnFamily("b");
 
-  {
-    const batch = r.read();
-    const p = batch.get("hello");
-    await batch.flush();
-    batch.destroy();
-    t.alike(await p, Buffer.from("world"));
+    t.alike(await a.get("key"), Buffer.from("a"));
+    t.is(await b.get("key"), null);
+
+    await b.put("key", "b");
+    t.alike(await b.get("key"), Buffer.from("b"));
+
+    await a.close();
+    await b.close();
+    await db.close();
   }
+});
 
-  await w.close();
-  await r.close();
+test("column families missing + createMissingColumnFamilies: false", async (t) => {
+  const dir = await t.tmp();
+
+  {
+    const db = new RocksDB(dir);
+    await db.ready();
+    await db.close();
+  }
+  {
+    const db = new RocksDB(dir, {
+      columnFamilies: ["a"],
+      createMissingColumnFamilies: false,
+    });
+    await t.exception(db.ready(), /Column family does not exist: a/);
+  }
 });
 
-test("read-only + write", async (t) => {
+test("column families missing while open elsewhere", async (t) => {
   const dir = await t.tmp();
 
   const w = new RocksDB(dir);
   await w.ready();
 
-  const r = new RocksDB(dir, { readOnly: true });
-  await r.ready();
-
-  const batch = r.write();
-  const p = batch.put("hello", "world");
-  await t.exception(batch.flush(), /Batch was not applied/);
-  batch.destroy();
-  await t.exception(p, /Not supported operation in read only mode/);
+  const db = new RocksDB(dir, { columnFamilies: ["a"] });
+  await t.exception(db.ready(), /open elsewhere/);
 
   await w.close();
-  await r.close();
+});
+
+test("drop column family", async (t) => {
+  const dir = await t.tmp();
+
+  const db = new RocksDB(dir, { columnFamilies: ["a", "b"] });
+  await db.ready();
+
+  const a = db.columnFamily("a");
+  const b = db.columnFamily("b");
+
+  await a.put("key", "a");
+  await b.put("key", "b");
+
+  await db.dropColumnFamily("a");
+
+  t.ok(a.closed, "sessions on the column family are closed");
+  t.exception(() => a.read(), /RocksDB session is closed/);
+  t.exception(() => db.columnFamily("a"), /Unknown column family/);
+
+  t.alike(await b.get("key"), Buffer.from("b"));
+  await b.put("other", "b");
+  t.alike(await db.get("key"), null);
+
+  t.alike(await RocksDB.listColumnFamilies(dir), ["b", "default"]);
+
+  await b.close();
+  await db.close();
+});
+
+test("drop column family while open elsewhere", async (t) => {
+  const dir = await t.tmp();
+
+  const db = new RocksDB(dir, { columnFamilies: ["a"] });
+  const a = db.columnFamily("a");
+  await a.put("key", "a");
+
+  const other = new RocksDB(dir, { columnFamilies: ["a"] });
+  await other.ready();
+
+  try {
+    await db.dropColumnFamily("a");
+    t.fail("should fail");
+  } catch (err) {
+    t.is(err.code, "BUSY");
+    t.ok(/open elsewhere/.test(err.message));
+  }
+
+  t.absent(a.closed, "sessions are kept");
+  t.alike(await a.get("key"), Buffer.from("a"));
+  await db.put("still", "open");
+  t.alike(await db.get("still"), Buffer.from("open"));
+
+  await other.close();
+
+  t.alike(await RocksDB.listColumnFamilies(dir), ["a", "default"]);
+
+  await db.dropColumnFamily("a");
+  t.ok(a.closed);
+  t.alike(await RocksDB.listColumnFamilies(dir), ["default"]);
+
+  await db.close();
+});
+
+test("drop column family blocked by another context", async (t) => {
+  const dir = await t.tmp();
+
+  const db = new RocksDB(dir, { columnFamilies: ["a"] });
+  await db.columnFamily("a").put("key", "a");
+
+  // A connection this instance cannot see, like one in another tab
+  const foreign = await new Promise((resolve) => {
+    const request = indexedDB.open(dir);
+    request.onsuccess = () => resolve(request.result);
+  });
+
+  const dropping = db.dropColumnFamily("a");
+  setTimeout(() => foreign.close(), 20);
+
+  try {
+    await dropping;
+    t.fail("should fail");
+  } catch (err) {
+    t.is(err.code, "BUSY");
+  }
+
+  t.alike(await db.columnFamily("a").get("key"), Buffer.from("a"));
+  t.alike(await RocksDB.listColumnFamilies(dir), ["a", "default"]);
+
+  await db.close();
+});
+
+test("drop default column family", async (t) => {
+  const db = new RocksDB(await t.tmp());
+  await db.ready();
+
+  try {
+    await db.dropColumnFamily("default");
+    t.fail("should fail");
+  } catch (err) {
+    t.is(err.code, "INVALID_ARGUMENT");
+    t.ok(/root session/.test(err.message));
+  }
+
+  await t.exception(db.dropColumnFamily("missing"), /Unknown column family/);
+
+  await db.close();
+});
+
+test("list column families", async (t) => {
+  const dir = await t.tmp();
+
+  t.alike(await RocksDB.listColumnFamilies(dir), []);
+
+  const db = new RocksDB(dir, { columnFamilies: ["b", "a"] });
+  await db.ready();
+
+  t.alike(await RocksDB.listColumnFamilies(dir), ["a", "b", "default"]);
+
+  await db.close();
+
+  t.alike(await RocksDB.listColumnFamilies(dir), ["a", "b", "default"]);
+});
+
+test("destroy", async (t) => {
+  const dir = await t.tmp();
+
+  {
+    const db = new RocksDB(dir);
+    await db.put("hello", "world");
+    await db.close();
+  }
+
+  await RocksDB.destroy(dir);
+
+  t.alike(await RocksDB.listColumnFamilies(dir), []);
+
+  {
+    const db = new RocksDB(dir);
+    t.is(await db.get("hello"), null);
+    await db.close();
+  }
+});
+
+test("destroy with open sessions", async (t) => {
+  const dir = await t.tmp();
+
+  const db = new RocksDB(dir);
+  const session = db.session();
+  await db.put("hello", "world");
+
+  await t.exception(RocksDB.destroy(dir), /open sessions/);
+  t.alike(await db.get("hello"), Buffer.from("world"));
+
+  await RocksDB.destroy(dir, { force: true });
+
+  t.ok(db.closed);
+  t.ok(session.closed);
+
+  const reopened = new RocksDB(dir);
+  t.is(await reopened.get("hello"), null);
+  await reopened.close();
+});
+
+test("destroy while suspended", async (t) => {
+  const dir = await t.tmp();
+
+  const db = new RocksDB(dir);
+  await db.ready();
+  await db.suspend();
+
+  const p = db.flush();
+  p.catch(() => {});
+
+  await RocksDB.destroy(dir, { force: true });
+  await t.exception(p);
+
+  const reopened = new RocksDB(dir);
+  await reopened.ready();
+  await reopened.suspend();
+  await t.execution(reopened.resume());
+  await reopened.close();
+});
+
+test("destroy waits for connections in other contexts", async (t) => {
+  const dir = await t.tmp();
+
+  {
+    const db = new RocksDB(dir);
+    await db.put("hello", "world");
+    await db.close();
+  }
+
+  // A connection this instance cannot see, like one in another tab
+  const foreign = await new Promise((resolve) => {
+    const request = indexedDB.open(dir);
+    request.onsuccess = () => resolve(request.result);
+  });
+
+  let closed = false;
+
+  foreign.onversionchange = () => {
+    setTimeout(() => {
+      closed = true;
+      foreign.close();
+    }, 20);
+  };
+
+  await RocksDB.destroy(dir);
+
+  t.ok(closed, "resolves once the other connection closes");
+  t.alike(await RocksDB.listColumnFamilies(dir), []);
+});
+
+test("destroy a database that fell back to memory", async (t) => {
+  globalThis.indexedDB = undefined;
+
+  try {
+    const dir = await t.tmp();
+
+    const db = new RocksDB(dir);
+    db.on("warning", () => {});
+    await db.put("hello", "world");
+
+    await t.exception(RocksDB.destroy(dir), /open sessions/);
+
+    await RocksDB.destroy(dir, { force: true });
+    t.ok(db.closed);
+
+    const reopened = new RocksDB(dir);
+    reopened.on("warning", () => {});
+    t.is(await reopened.get("hello"), null);
+    await reopened.close();
+  } finally {
+    globalThis.indexedDB = indexedDB;
+  }
+});
+
+test("custom backend must implement the interface", async (t) => {
+  const dir = await t.tmp();
+  const backend = { ...binding, iteratorRead: undefined };
+
+  t.exception(
+    () => new RocksDB(dir, { backend }),
+    /Storage backend is missing iteratorRead\(\)/
+  );
+});
+
+test("read-only", async (t) => {
+  const dir = await t.tmp();
+
+  const w = new RocksDB(dir);
+  await w.ready();
+
+  {
+    const batch = w.write();
+    const p = batch.put("hello", "world");
+    await batch.flush();
+    batch.destroy();
+    await t.execution(p);
+  }
+
+  const r = new RocksDB(dir, { readOnly: true });
+  await r.ready();
+
+  {
+    const batch = r.read();
+    const p = batch.get("hello");
+    await batch.flush();
+    batch.destroy();
+    t.alike(await p, Buffer.from("world"));
+  }
+
+  await w.close();
+  await r.close();
+});
+
+test("read-only + write", async (t) => {
+  const dir = await t.tmp();
+
+  const w = new RocksDB(dir);
+  await w.ready();
+
+  const r = new RocksDB(dir, { readOnly: true });
+  await r.ready();
+
+  const batch = r.write();
+  const p = batch.put("hello", "world");
+
+  try {
+    await batch.flush();
+    t.fail("should fail");
+  } catch (err) {
+    t.is(err.message, "Batch was not applied");
+    t.is(err.code, "READ_ONLY", "takes the code of the failed operation");
+  }
+
+  batch.destroy();
+  await t.exception(p, /Not supported operation in read only mode/);
+
+  await w.close();
+  await r.close();
 });
 
 test("suspend + resume", async (t) => {
@@ -911,6 +1659,27 @@ function wait(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// Number of records in an object store, expired or not
+function count(factory, path, name) {
+  return new Promise((resolve, reject) => {
+    const open = factory.open(path);
+
+    open.onsuccess = () => {
+      const db = open.result;
+      const request = db
+        .transaction([name], "readonly")
+        .objectStore(name)
+        .count();
+
+      request.onsuccess = () => {
+        db.close();
+        resolve(request.result);
+      };
+    };
+    open.onerror = () => reject(open.error);
+  });
+}
+
 test("suspend + flush + close", async (t) => {
   const db = new RocksDB(await t.tmp());
   await db.ready();
@@ -940,3 +1709,1148 @@ test("suspend + flush + resume", async (t) => {
 
   await db.close();
 });
+
+test("memory storage option", async (t) => {
+  const dir = await t.tmp();
+
+  const db = new RocksDB(dir, { storage: "memory" });
+  await db.put("hello", "world");
+  t.alike(await db.get("hello"), Buffer.from("world"));
+  t.alike(await RocksDB.listColumnFamilies(dir), [], "nothing in IndexedDB");
+  await db.close();
+
+  t.exception(() => new RocksDB(dir, { storage: "leveldb" }), /storage/);
+});
+
+test("falls back to memory when indexeddb is unavailable", async (t) => {
+  globalThis.indexedDB = undefined;
+
+  try {
+    const db = new RocksDB(await t.tmp());
+
+    const warned = new Promise((resolve) => db.once("warning", resolve));
+
+    await db.put("hello", "world");
+    t.alike(await db.get("hello"), Buffer.from("world"));
+    t.ok(/in-memory/.test((await warned).message));
+
+    await db.close();
+  } finally {
+    globalThis.indexedDB = indexedDB;
+  }
+});
+
+test("iterators created before ready use the fallback backend", async (t) => {
+  globalThis.indexedDB = undefined;
+
+  try {
+    const dir = await t.tmp();
+
+    const writer = new RocksDB(dir);
+    writer.on("warning", () => {});
+    await writer.put("hello", "world");
+
+    // Memory databases are shared by path
+    const db = new RocksDB(dir);
+    db.on("warning", () => {});
+
+    const keys = [];
+    const iterating = (async () => {
+      for await (const { key } of db.iterator()) keys.push(key);
+    })();
+    const peeked = db.peek();
+
+    await iterating;
+    t.alike(keys, [Buffer.from("hello")]);
+    t.alike((await peeked).value, Buffer.from("world"));
+
+    await db.close();
+    await writer.close();
+  } finally {
+    globalThis.indexedDB = indexedDB;
+  }
+});
+
+test("no fallback when a storage is requested", async (t) => {
+  globalThis.indexedDB = undefined;
+
+  try {
+    const db = new RocksDB(await t.tmp(), { storage: "indexeddb" });
+
+    try {
+      await db.ready();
+      t.fail("should fail");
+    } catch (err) {
+      t.is(err.code, "UNAVAILABLE");
+      t.ok(/IndexedDB not available/.test(err.message));
+    }
+  } finally {
+    globalThis.indexedDB = indexedDB;
+  }
+});
+
+test("per instance indexeddb factory", async (t) => {
+  const dir = await t.tmp();
+
+  const factory = new IDBFactory();
+  const opts = { indexedDB: factory, IDBKeyRange };
+
+  const a = new RocksDB(dir, opts);
+  const b = new RocksDB(dir);
+
+  await a.put("hello", "a");
+  await b.put("hello", "b");
+
+  t.alike(await a.get("hello"), Buffer.from("a"));
+  t.alike(await b.get("hello"), Buffer.from("b"));
+  t.alike(
+    await a.peek({ gte: "a" }),
+    { key: Buffer.from("hello"), value: Buffer.from("a") },
+    "key ranges use the injected class"
+  );
+
+  await RocksDB.destroy(dir, { ...opts, force: true });
+  t.ok(b.opened, "databases of other factories stay open");
+
+  t.alike(await RocksDB.listColumnFamilies(dir, opts), []);
+  t.alike(await RocksDB.listColumnFamilies(dir), ["default"]);
+
+  await b.close();
+});
+
+test("indexeddb factory falls back to globalThis", async (t) => {
+  const dir = await t.tmp();
+  const db = new RocksDB(dir);
+
+  await db.put("hello", "world");
+
+  t.is(await count(globalThis.indexedDB, dir, "default"), 1);
+  t.alike(
+    await db.peek({ gte: "a" }),
+    { key: Buffer.from("hello"), value: Buffer.from("world") },
+    "key ranges use the global class"
+  );
+
+  await db.close();
+});
+
+test("read batch uses one transaction across column families", async (t) => {
+  const { transactions, ...opts } = recordTransactions();
+  const db = new RocksDB(await t.tmp(), { ...opts, columnFamilies: ["a"] });
+  const a = db.columnFamily("a");
+  await db.ready();
+
+  const batch = db.write();
+  for (let i = 0; i < 40; i++) {
+    const key = `key-${String(i).padStart(2, "0")}`;
+    batch.put(key, key);
+  }
+  await batch.flush();
+  batch.destroy();
+
+  await a.put("key-05", "from a");
+
+  transactions.length = 0;
+
+  // Spread out keys truncate the span read and fall back to single gets
+  const keys = ["key-39", "key-00", "missing", "key-20", "key-00", "key-10"];
+
+  const read = db.read();
+  const p = keys.map((key) => read.get(key));
+  const q = a.read();
+  const r = [q.get("key-05"), q.get("key-06")];
+  await Promise.all([read.flush(), q.flush()]);
+  read.destroy();
+  q.destroy();
+
+  t.alike(await Promise.all(p), [
+    Buffer.from("key-39"),
+    Buffer.from("key-00"),
+    null,
+    Buffer.from("key-20"),
+    Buffer.from("key-00"),
+    Buffer.from("key-10"),
+  ]);
+  t.alike(await Promise.all(r), [Buffer.from("from a"), null]);
+  t.is(transactions.length, 2);
+
+  await db.close();
+});
+
+test("empty read batch", async (t) => {
+  const db = new RocksDB(await t.tmp());
+  await db.ready();
+
+  const read = db.read();
+  await read.flush();
+  read.destroy();
+
+  t.pass("flushed");
+
+  await db.close();
+});
+
+test("coalesce reads", async (t) => {
+  let reads = 0;
+
+  const backend = {
+    ...binding,
+    read(...args) {
+      reads++;
+      return binding.read(...args);
+    },
+  };
+
+  const db = new RocksDB(await t.tmp(), { backend, coalesceReads: true });
+  const session = db.session();
+
+  await db.put("a", "a");
+  await db.put("b", "b");
+
+  const snapshot = db.snapshot();
+  await db.put("a", "a2");
+
+  reads = 0;
+
+  const values = await Promise.all([
+    db.get("a"),
+    db.get("b"),
+    db.get("missing"),
+    session.get("a"),
+    snapshot.get("a"),
+    snapshot.get("b"),
+  ]);
+
+  t.alike(values, [
+    Buffer.from("a2"),
+    Buffer.from("b"),
+    null,
+    Buffer.from("a2"),
+    Buffer.from("a"),
+    Buffer.from("b"),
+  ]);
+  t.is(reads, 3, "one read batch per session");
+
+  t.alike(await db.get("b"), Buffer.from("b"));
+  t.is(reads, 4);
+
+  // Gets with options are read on their own
+  reads = 0;
+
+  const withOptions = await Promise.all([
+    db.get("a"),
+    db.get("b", { capacity: 1 }),
+  ]);
+
+  t.alike(withOptions, [Buffer.from("a2"), Buffer.from("b")]);
+  t.is(reads, 2);
+
+  await snapshot.close();
+  await session.close();
+  await db.close();
+});
+
+test("group commit merges concurrent write batches", async (t) => {
+  let writes = 0;
+
+  const backend = {
+    ...binding,
+    write(...args) {
+      writes++;
+      return binding.write(...args);
+    },
+  };
+
+  const db = new RocksDB(await t.tmp(), { backend });
+  await db.ready();
+
+  const flushes = [];
+
+  for (let i = 0; i < 10; i++) {
+    const batch = db.write({ autoDestroy: true });
+    batch.put(`key-${i}`, `value-${i}`);
+    batch.put("last", `value-${i}`);
+    flushes.push(batch.flush());
+  }
+
+  await Promise.all(flushes);
+
+  t.ok(writes < 10, `${writes} writes for 10 batches`);
+  t.alike(await db.get("key-3"), Buffer.from("value-3"));
+  t.alike(await db.get("last"), Buffer.from("value-9"), "flush order kept");
+
+  await db.close();
+});
+
+test("group commit retries batches on their own after a failure", async (t) => {
+  const db = new RocksDB(await t.tmp());
+  await db.ready();
+
+  const missing = db.session({
+    columnFamily: new RocksDB.ColumnFamily("missing"),
+  });
+
+  const a = db.write({ autoDestroy: true });
+  a.put("a", "a");
+
+  const bad = missing.write({ autoDestroy: true });
+  const failed = bad.put("b", "b");
+
+  const c = db.write({ autoDestroy: true });
+  c.put("c", "c");
+
+  const flushes = [a.flush(), bad.flush(), c.flush()];
+
+  await t.exception(failed, /missing/);
+  await flushes[0];
+  await t.exception(flushes[1], /not applied/);
+  await flushes[2];
+
+  t.alike(await db.get("a"), Buffer.from("a"));
+  t.alike(await db.get("c"), Buffer.from("c"));
+
+  await missing.close();
+  await db.close();
+});
+
+test("write durability", async (t) => {
+  const { transactions, ...opts } = recordTransactions();
+  const db = new RocksDB(await t.tmp(), opts);
+  await db.ready();
+
+  transactions.length = 0;
+
+  const durabilities = () =>
+    transactions
+      .filter((tx) => tx.mode === "readwrite")
+      .map((tx) => tx.durability);
+
+  await db.put("a", "a");
+  await db.put("b", "b", { durability: "relaxed" });
+  await db.put("c", "c", { sync: true });
+
+  t.alike(durabilities(), ["default", "relaxed", "strict"]);
+  t.exception(() => db.write({ durability: "lazy" }), /Unknown durability/);
+
+  await db.close();
+});
+
+test("flush commits relaxed writes with a strict transaction", async (t) => {
+  const { transactions, ...opts } = recordTransactions();
+  const db = new RocksDB(await t.tmp(), opts);
+  await db.ready();
+
+  transactions.length = 0;
+
+  const durabilities = () =>
+    transactions
+      .filter((tx) => tx.mode === "readwrite")
+      .map((tx) => tx.durability);
+
+  await db.flush();
+  t.alike(durabilities(), [], "nothing to flush");
+
+  const batch = db.write({ durability: "relaxed", autoDestroy: true });
+  batch.put("hello", "world");
+  const flushed = batch.flush();
+
+  // The batch is still queued when the flush starts
+  await db.flush();
+  await flushed;
+
+  t.alike(durabilities(), ["relaxed", "strict"]);
+
+  await db.put("strict", "write", { sync: true });
+  await db.flush();
+  t.alike(durabilities(), ["relaxed", "strict", "strict"], "already durable");
+
+  await db.close();
+});
+
+test("merge from concurrent batches", async (t) => {
+  const partials = [];
+
+  const append = {
+    fullMerge(key, existing, operands) {
+      return Buffer.concat([existing || Buffer.alloc(0), ...operands]);
+    },
+    partialMerge(key, left, right) {
+      partials.push([left.toString(), right.toString()]);
+      return Buffer.concat([left, right]);
+    },
+  };
+
+  const db = new RocksDB(await t.tmp(), {
+    columnFamilies: [
+      new RocksDB.ColumnFamily("log", { mergeOperator: append }),
+    ],
+  });
+  const log = db.columnFamily("log");
+  await db.ready();
+
+  const flushes = [];
+
+  for (const value of ["a", "b", "c"]) {
+    const batch = log.write({ autoDestroy: true });
+    batch.merge("key", value);
+    flushes.push(batch.flush());
+  }
+
+  await Promise.all(flushes);
+
+  t.alike(await log.get("key"), Buffer.from("abc"));
+  t.alike(partials, [
+    ["a", "b"],
+    ["ab", "c"],
+  ]);
+
+  const batch = db.write();
+  t.exception(() => batch.merge("key", "x"), /no merge operator/);
+  batch.destroy();
+  t.exception(
+    () => new RocksDB.ColumnFamily("bad", { mergeOperator: {} }),
+    /fullMerge/
+  );
+
+  await log.close();
+  await db.close();
+});
+
+test("transaction sees its own writes", async (t) => {
+  const db = new RocksDB(await t.tmp());
+  const session = db.session({
+    keyEncoding: c.string,
+    valueEncoding: c.string,
+  });
+
+  await session.put("a", "a");
+  await session.put("b", "b");
+  await session.put("c", "c");
+
+  const tx = session.transaction();
+
+  tx.put("b", "b2");
+  tx.put("d", "d");
+  tx.delete("a");
+
+  t.is(await tx.get("a"), null);
+  t.is(await tx.get("b"), "b2");
+  t.is(await tx.get("c"), "c");
+  t.is(await session.get("d"), null, "staged writes are not visible yet");
+
+  const entries = [];
+  for await (const entry of tx.iterator({ gte: "a" })) entries.push(entry);
+
+  t.alike(entries, [
+    { key: "b", value: "b2" },
+    { key: "c", value: "c" },
+    { key: "d", value: "d" },
+  ]);
+
+  const reversed = [];
+  for await (const entry of tx.iterator({}, { reverse: true, limit: 2 })) {
+    reversed.push(entry.key);
+  }
+
+  t.alike(reversed, ["d", "c"]);
+
+  await tx.commit();
+
+  t.is(await session.get("a"), null);
+  t.is(await session.get("d"), "d");
+  await t.exception(tx.commit(), /finished/);
+
+  await session.close();
+  await db.close();
+});
+
+test("transaction conflicts", async (t) => {
+  const db = new RocksDB(await t.tmp());
+  await db.put("a", "a");
+  await db.put("b", "b");
+
+  // Writes to keys that were not read do not conflict
+  const tx = db.transaction();
+  await tx.get("a");
+  tx.put("c", "c");
+  await db.put("b", "b2");
+  await tx.commit();
+
+  t.alike(await db.get("c"), Buffer.from("c"));
+
+  // Neither do writes made before the transaction began
+  await db.put("a", "a2");
+  const later = db.transaction();
+  t.alike(await later.get("a"), Buffer.from("a2"));
+  await later.commit();
+
+  // Delete ranges conflict with the keys in them
+  const ranged = db.transaction();
+  await ranged.get("b");
+  ranged.put("f", "f");
+  await db.deleteRange("a", "c");
+
+  try {
+    await ranged.commit();
+    t.fail("should conflict");
+  } catch (err) {
+    t.is(err.code, "BUSY");
+  }
+
+  // Queued in the same group commit as the conflicting write
+  const queued = db.transaction();
+  await queued.get("c");
+  queued.put("d", "d");
+
+  const batch = db.write({ autoDestroy: true });
+  batch.put("c", "c2");
+
+  await Promise.all([batch.flush(), t.exception(queued.commit(), /Busy/)]);
+
+  t.is(await db.get("d"), null);
+
+  // The failed transactions no longer hold the keys they read
+  const fresh = db.transaction();
+  await fresh.get("c");
+  fresh.put("d", "d");
+  await fresh.commit();
+
+  t.alike(await db.get("d"), Buffer.from("d"));
+
+  const aborted = db.transaction();
+  await aborted.get("a");
+  aborted.put("e", "e");
+  await aborted.rollback();
+
+  t.is(await db.get("e"), null);
+
+  await db.close();
+});
+
+test("conditional writes from concurrent batches", async (t) => {
+  const db = new RocksDB(await t.tmp(), {
+    columnFamily: new RocksDB.ColumnFamily("default", {
+      mergeOperator: counter(),
+    }),
+  });
+  await db.ready();
+
+  // Merged into one group commit, only the first claim wins
+  const claims = [];
+  const flushes = [];
+
+  for (const id of ["a", "b", "c"]) {
+    const batch = db.write({ autoDestroy: true });
+    claims.push(batch.putIfAbsent("leader", id));
+    flushes.push(batch.flush());
+  }
+
+  await Promise.all(flushes);
+
+  t.alike(await Promise.all(claims), [true, false, false]);
+  t.alike(await db.get("leader"), Buffer.from("a"));
+
+  // A failed batch does not apply its conditional writes either
+  const failing = db.write({ autoDestroy: true });
+  const swap = failing.compareAndSwap("leader", "a", "b");
+  const merge = failing.merge("count", Buffer.alloc(0));
+
+  await t.exception(failing.flush());
+  await t.exception(swap);
+  await t.exception(merge, /Invalid operand/);
+
+  t.alike(await db.get("leader"), Buffer.from("a"));
+
+  const tx = db.transaction();
+  t.exception(() => tx.putIfAbsent("leader", "b"), /not supported/);
+  await tx.rollback();
+
+  await db.close();
+});
+
+test("write batch reads only see its own column family", async (t) => {
+  const db = new RocksDB(await t.tmp(), { columnFamilies: ["b"] });
+  const b = db.columnFamily("b");
+  await db.put("k", "default");
+
+  const other = b.write();
+  other.put("k", "b");
+  other.deleteRange("a", "z");
+  other.put("m", "b");
+
+  const encoded = other.encode();
+  await other.flush();
+  other.destroy();
+
+  const batch = db.write();
+  batch.decode(encoded);
+  batch.put("n", "default");
+
+  t.alike(await batch.get("k"), Buffer.from("default"));
+  t.is(await batch.get("m"), null);
+
+  const entries = [];
+  for await (const { key, value } of batch.iterator()) {
+    entries.push([key.toString(), value.toString()]);
+  }
+
+  t.alike(entries, [
+    ["k", "default"],
+    ["n", "default"],
+  ]);
+
+  await batch.flush();
+  batch.destroy();
+
+  t.is(await b.get("k"), null);
+  t.alike(await b.get("m"), Buffer.from("b"));
+  t.alike(await db.get("k"), Buffer.from("default"));
+
+  await b.close();
+  await db.close();
+});
+
+test("write batch reads its own writes on top of a snapshot", async (t) => {
+  const db = new RocksDB(await t.tmp(), {
+    columnFamilies: [
+      new RocksDB.ColumnFamily("counters", { mergeOperator: counter() }),
+    ],
+  });
+  const counters = db.columnFamily("counters");
+  await counters.put("a", uint(1));
+  await counters.put("b", uint(1));
+
+  const snapshot = counters.snapshot();
+  await counters.put("a", uint(10));
+
+  // Merges and conditional writes are resolved against the snapshot
+  const batch = snapshot.write();
+  batch.merge("a", uint(2));
+  batch.compareAndSwap("b", uint(1), uint(5));
+  batch.deleteRange("c", "z");
+  batch.putIfAbsent("d", uint(7));
+
+  const pending = batch.get("a");
+  batch.merge("a", uint(100));
+
+  t.alike(await pending, uint(3), "sees the batch as it was");
+  t.alike(await batch.get("a"), uint(103));
+  t.alike(await batch.get("b"), uint(5));
+  t.alike(await batch.get("d"), uint(7));
+
+  const entries = [];
+  for await (const { key, value } of batch.iterator({ reverse: true })) {
+    entries.push([key.toString(), value.readUInt32BE(0)]);
+  }
+
+  t.alike(entries, [
+    ["d", 7],
+    ["b", 5],
+    ["a", 103],
+  ]);
+
+  // Written against the database, not the snapshot
+  await batch.flush();
+  batch.destroy();
+
+  t.alike(await counters.get("a"), uint(112));
+  t.is(await batch.get("a").catch((err) => err.message), "Batch is destroyed");
+
+  await snapshot.close();
+  await counters.close();
+  await db.close();
+});
+
+test("write batch savepoints", async (t) => {
+  const db = new RocksDB(await t.tmp());
+  await db.ready();
+
+  const batch = db.write();
+  const kept = batch.put("a", "1");
+
+  batch.setSavePoint();
+  batch.put("b", "2");
+
+  batch.setSavePoint();
+  const dropped = [batch.put("c", "3"), batch.delete("a")];
+
+  t.is(await batch.get("a"), null);
+
+  batch.rollbackToSavePoint();
+
+  t.alike(await batch.get("a"), Buffer.from("1"), "index is rolled back");
+  for (const p of dropped) await t.exception(p, /Rolled back/);
+
+  // Keeps "b" but forgets its savepoint
+  batch.popSavePoint();
+  t.exception(() => batch.rollbackToSavePoint(), /No savepoint/);
+
+  await batch.flush();
+  await kept;
+  batch.destroy();
+
+  t.alike(await db.get("a"), Buffer.from("1"));
+  t.alike(await db.get("b"), Buffer.from("2"));
+  t.is(await db.get("c"), null);
+
+  // Destroying a batch drops its savepoints before it is reused
+  const stale = db.write();
+  stale.setSavePoint();
+  stale.destroy();
+
+  const reused = db.write();
+  const put = reused.put("f", "6");
+  t.exception(() => reused.rollbackToSavePoint(), /No savepoint/);
+
+  await reused.flush();
+  await put;
+  reused.destroy();
+
+  t.alike(await db.get("f"), Buffer.from("6"));
+
+  // Reads after the savepoint are not checked once rolled back
+  const tx = db.transaction();
+  tx.setSavePoint();
+  await tx.get("b");
+  tx.put("d", "4");
+  tx.rollbackToSavePoint();
+  tx.put("e", "5");
+
+  await db.put("b", "other");
+  await tx.commit();
+
+  t.is(await db.get("d"), null);
+  t.alike(await db.get("e"), Buffer.from("5"));
+
+  await db.close();
+});
+
+test("encode + decode write batch", async (t) => {
+  const columnFamilies = () => [
+    new RocksDB.ColumnFamily("counters", { mergeOperator: counter() }),
+  ];
+
+  const source = new RocksDB(await t.tmp(), {
+    columnFamilies: columnFamilies(),
+  });
+  const target = new RocksDB(await t.tmp(), {
+    columnFamilies: columnFamilies(),
+  });
+  await source.ready();
+  await target.put("stale", "x");
+
+  const batch = source.write();
+  batch.put("a", "1");
+  batch.put("empty", Buffer.alloc(0));
+  batch.deleteRange("s", "t");
+  batch.putIfAbsent("b", "2");
+  batch.compareAndSwap("a", "1", "3");
+  batch.deleteIf("b", "2");
+
+  const counters = source.columnFamily("counters").write();
+  counters.merge("count", uint(5));
+  counters.delete("gone");
+
+  const encoded = batch.encode();
+  const encodedCounters = counters.encode();
+
+  // Encoding leaves the batches as they were
+  await batch.flush();
+  await counters.flush();
+  batch.destroy();
+  counters.destroy();
+
+  const replay = target.write();
+  t.is(replay.decode(encoded), replay);
+  replay.decode(encodedCounters);
+
+  await replay.flush();
+  replay.destroy();
+
+  t.alike(await target.get("a"), Buffer.from("3"));
+  t.alike(await target.get("empty"), Buffer.alloc(0));
+  t.is(await target.get("stale"), null);
+  t.is(await target.get("b"), null);
+  t.alike(await target.columnFamily("counters").get("count"), uint(5));
+
+  const invalid = target.write();
+  t.exception(() => invalid.decode(Buffer.from([2, 0])), /version: 2/);
+  t.exception(
+    () => invalid.decode(encoded.subarray(0, encoded.byteLength - 1)),
+    /Invalid batch encoding/
+  );
+  await invalid.flush();
+  invalid.destroy();
+
+  t.alike(await target.get("a"), Buffer.from("3"), "nothing staged");
+
+  await source.close();
+  await target.close();
+});
+
+test("write batch split into chunks", async (t) => {
+  const writes = [];
+
+  const backend = {
+    ...binding,
+    write(handle, batchHandle, operations, ...args) {
+      writes.push(operations.length);
+      return binding.write(handle, batchHandle, operations, ...args);
+    },
+  };
+
+  const db = new RocksDB(await t.tmp(), {
+    backend,
+    columnFamily: new RocksDB.ColumnFamily("default", {
+      mergeOperator: counter(),
+    }),
+  });
+  await db.ready();
+
+  const progress = [];
+
+  // Each put is 7 bytes, so 3 fit in a chunk
+  const batch = db.write({
+    maxTransactionBytes: 24,
+    atomic: false,
+    onprogress: (p) => progress.push(p),
+  });
+
+  for (let i = 0; i < 7; i++) batch.put(`key-${i}`, "ab");
+  await batch.flush();
+
+  t.alike(writes, [3, 3, 1]);
+  t.alike(progress, [
+    { written: 3, total: 7 },
+    { written: 6, total: 7 },
+    { written: 7, total: 7 },
+  ]);
+  t.alike(await db.get("key-6"), Buffer.from("ab"));
+
+  batch.destroy();
+
+  // Chunks after a failed one are not written
+  const chunked = db.write({ maxTransactionBytes: 2, atomic: false });
+  const written = chunked.put("a", "1");
+  const failed = chunked.merge("b", Buffer.alloc(0));
+  const after = chunked.put("c", "3");
+
+  writes.length = 0;
+
+  await t.exception(chunked.flush(), /only partly applied/);
+  await written;
+  await t.exception(failed, /Invalid operand/);
+  await t.exception(after, /earlier chunk failed/);
+
+  t.alike(writes, [1, 1]);
+  t.alike(await db.get("a"), Buffer.from("1"));
+  t.is(await db.get("c"), null);
+
+  chunked.destroy();
+
+  // Atomic batches fail before writing anything
+  writes.length = 0;
+
+  const atomic = db.write({ maxTransactionBytes: 24 });
+  const puts = [];
+  for (let i = 0; i < 5; i++) puts.push(atomic.put(`big-${i}`, "ab"));
+
+  await t.exception(atomic.flush(), /35 bytes exceeds maxTransactionBytes/);
+  for (const put of puts) await t.exception(put, /exceeds/);
+  atomic.destroy();
+
+  t.alike(writes, []);
+  t.is(await db.get("big-0"), null);
+
+  t.exception(() => db.write({ maxTransactionBytes: 0 }), /positive integer/);
+
+  await db.close();
+});
+
+test("expired values are swept in the background", async (t) => {
+  const now = Date.now;
+  let time = now();
+  Date.now = () => time;
+  t.teardown(() => {
+    Date.now = now;
+  });
+
+  const dir = await t.tmp();
+  const { transactions, ...opts } = recordTransactions();
+  const db = new RocksDB(dir, { ...opts, sweepInterval: 10 });
+  await db.ready();
+
+  await db.put("a", "a", { ttl: 100 });
+  await db.put("b", "b", { ttl: 100 });
+  await db.put("c", "c");
+
+  transactions.length = 0;
+  await wait(50);
+
+  t.ok(transactions.length > 0, "swept");
+  t.ok(
+    transactions.every((tx) => tx.mode === "readonly"),
+    "sweeps with nothing expired do not write"
+  );
+
+  t.is(await count(opts.indexedDB, dir, "default"), 3);
+
+  time += 100;
+
+  const swept = new Promise((resolve) => {
+    const poll = async () => {
+      if ((await count(opts.indexedDB, dir, "default")) === 1) resolve();
+      else setTimeout(poll, 10);
+    };
+    poll();
+  });
+
+  await swept;
+  t.pass("expired values are deleted");
+
+  t.alike(await RocksDB.listColumnFamilies(dir, opts), ["default"]);
+
+  await db.close();
+});
+
+test("compactRange drops expired values and stops on suspend", async (t) => {
+  const now = Date.now;
+  let time = now();
+  Date.now = () => time;
+  t.teardown(() => {
+    Date.now = now;
+  });
+
+  const dir = await t.tmp();
+  const db = new RocksDB(dir, { sweepInterval: 0 });
+  await db.ready();
+
+  const batch = db.write();
+  for (let i = 0; i < 20; i++) {
+    batch.put(`k${i}`, `${i}`, i < 5 ? { ttl: 100 } : {});
+  }
+  await batch.flush();
+  batch.destroy();
+
+  time += 100;
+
+  t.alike(await db.compactRange(), { removed: 5, changed: 0, complete: true });
+
+  t.is(await count(indexedDB, dir, "default"), 15);
+
+  // A transaction that read a filtered key conflicts with the compaction
+  const tx = db.transaction();
+  t.alike(await tx.get("k10"), Buffer.from("10"));
+  tx.put("k10", "mine");
+
+  let suspended = null;
+  const result = await db.compactRange(null, null, {
+    chunkSize: 2,
+    filter(key, value) {
+      if (suspended === null) suspended = db.suspend();
+      return { value: Buffer.concat([value, Buffer.from("!")]) };
+    },
+  });
+
+  await suspended;
+
+  t.alike(result, { removed: 0, changed: 2, complete: false });
+
+  await db.resume();
+
+  t.alike(await db.get("k10"), Buffer.from("10!"));
+  t.alike(await db.get("k12"), Buffer.from("12"));
+  await t.exception(tx.commit(), /Busy/);
+
+  await db.close();
+});
+
+test("errors keep the DOMException as cause", async (t) => {
+  const db = new RocksDB(await t.tmp());
+  await db.ready();
+
+  // Not created in IndexedDB until the database is opened again
+  const missing = db.columnFamily(new RocksDB.ColumnFamily("missing"));
+
+  try {
+    await missing.get("a");
+    t.fail("should fail");
+  } catch (err) {
+    t.ok(err instanceof RocksDB.RocksDBError);
+    t.is(err.code, "NOT_FOUND");
+    t.ok(err.cause instanceof DOMException);
+    t.is(err.cause.name, "NotFoundError");
+  }
+
+  // Cut off in the middle of a column family name
+  const encoded = Buffer.from([1, 1, 0, 5]);
+  const batch = db.write();
+
+  try {
+    batch.decode(encoded);
+    t.fail("should fail");
+  } catch (err) {
+    t.is(err.code, "CORRUPTION");
+    t.ok(err.cause, "keeps the decoding error");
+  }
+
+  batch.destroy();
+
+  await missing.close();
+  await db.close();
+});
+
+test("storage estimate and low storage callback", async (t) => {
+  let usage = 0;
+  let estimates = 0;
+
+  const storageManager = {
+    async estimate() {
+      estimates++;
+      return { usage, quota: 1000 };
+    },
+  };
+
+  const low = [];
+  const db = new RocksDB(await t.tmp(), {
+    storageManager,
+    storageWatermark: 200,
+    storageCheckInterval: 0,
+    onstoragelow(estimate) {
+      low.push(estimate);
+    },
+  });
+
+  t.alike(await db.storageEstimate(), { usage: 0, quota: 1000 });
+
+  await db.put("a", "a");
+  await new Promise((resolve) => setImmediate(resolve));
+
+  t.is(estimates, 2, "checked after the write");
+  t.alike(low, [], "enough quota left");
+
+  usage = 900;
+
+  await db.put("b", "b");
+  await new Promise((resolve) => setImmediate(resolve));
+
+  t.alike(low, [{ usage: 900, quota: 1000 }]);
+
+  t.exception(
+    () => new RocksDB("invalid", { storageWatermark: -1 }),
+    /non-negative/
+  );
+  t.exception(
+    () => new RocksDB("invalid", { storageCheckInterval: -1 }),
+    /non-negative/
+  );
+
+  await db.close();
+
+  const bare = new RocksDB(await t.tmp(), { storage: "memory" });
+  t.is(await bare.storageEstimate(), null, "no StorageManager in Node");
+  await bare.close();
+});
+
+test("storage estimates are throttled", async (t) => {
+  let estimates = 0;
+
+  const db = new RocksDB(await t.tmp(), {
+    storage: "memory",
+    storageManager: {
+      async estimate() {
+        estimates++;
+        return { usage: 0, quota: 1000 };
+      },
+    },
+    storageCheckInterval: 60000,
+    onstoragelow() {},
+  });
+
+  await db.put("a", "a");
+  await db.put("b", "b");
+  await db.put("c", "c");
+  await new Promise((resolve) => setImmediate(resolve));
+
+  t.is(estimates, 1);
+
+  await db.close();
+});
+
+test("quota-exceeded event carries the failing batch", async (t) => {
+  let full = false;
+
+  const backend = {
+    ...memoryBinding,
+    write(dbHandle, batchHandle, operations, options, callback) {
+      if (!full) {
+        memoryBinding.write(
+          dbHandle,
+          batchHandle,
+          operations,
+          options,
+          callback
+        );
+        return;
+      }
+
+      const err = new DOMException("Quota exceeded", "QuotaExceededError");
+      queueMicrotask(() => callback(operations.map(() => err)));
+    },
+  };
+
+  const low = [];
+  const db = new RocksDB(await t.tmp(), {
+    backend,
+    storageManager: {
+      async estimate() {
+        return { usage: full ? 1000 : 0, quota: 1000 };
+      },
+    },
+    onstoragelow(estimate) {
+      low.push(estimate);
+    },
+  });
+  await db.ready();
+
+  await db.put("kept", "value");
+
+  const events = [];
+  db.on("quota-exceeded", (batch, err) => {
+    events.push({ encoded: batch.encode(), err });
+  });
+
+  full = true;
+
+  const batch = db.write();
+  const put = batch.put("a", "1");
+
+  try {
+    await batch.flush();
+    t.fail("should fail");
+  } catch (err) {
+    t.is(err.code, "QUOTA_EXCEEDED");
+    t.is(err.cause.cause.name, "QuotaExceededError");
+  }
+
+  await t.exception(put, /Quota exceeded/);
+  batch.destroy();
+
+  t.is(events.length, 1);
+  t.is(events[0].err.code, "QUOTA_EXCEEDED");
+
+  await new Promise((resolve) => setImmediate(resolve));
+  t.alike(low, [{ usage: 1000, quota: 1000 }], "checked right away");
+
+  // The batch can be retried once there is room again
+  full = false;
+
+  const retry = db.write();
+  retry.decode(events[0].encoded);
+  await retry.flush();
+  retry.destroy();
+
+  t.alike(await db.get("a"), Buffer.from("1"));
+
+  await db.close();
+});